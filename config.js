@@ -0,0 +1,238 @@
+/* ===========================
+   Runtime-innstillinger
+   ===========================
+   Verdier som før var konstanter i live.js/hub.js (API-host, polling,
+   tidsvinduer). Redigeres i innstillingspanelet (settings.js), lagres i
+   localStorage og leses ved bruk, så endringer gjelder uten omlasting.
+
+   getSetting(name), setSetting(name, value), resetSettings(),
+   subscribeSettings(fn), useSettings().
+*/
+
+const DEFAULT_API_BASE = "https://volleyball.ronesse.no";
+const SETTINGS_STORAGE_KEY = "volley.settings.v1";
+
+const RUNTIME_SETTINGS = {
+  apiBase: {
+    label: "API-host",
+    desc: "Tom = " + DEFAULT_API_BASE + ". ?api= i adressen går foran.",
+    type: "url",
+    default: "",
+  },
+  livePollMs: {
+    label: "Livescore: polling (ms)",
+    desc: "Når strømmen ikke er tilgjengelig",
+    type: "number",
+    default: 5000,
+    min: 1000,
+    max: 60000,
+  },
+  hubPollMs: {
+    label: "Hub: polling (ms)",
+    type: "number",
+    default: 15000,
+    min: 2000,
+    max: 300000,
+  },
+  coreRefreshMs: {
+    label: "Lag/spillere: oppfrisking (ms)",
+    type: "number",
+    default: 10 * 60 * 1000,
+    min: 60 * 1000,
+    max: 24 * 60 * 60 * 1000,
+  },
+  lookaheadDays: {
+    label: "Kommende kamper (dager frem)",
+    type: "number",
+    default: 14,
+    min: 1,
+    max: 365,
+  },
+  lookbackDays: {
+    label: "Spilte kamper (dager tilbake)",
+    type: "number",
+    default: 30,
+    min: 1,
+    max: 365,
+  },
+  standingsScheme: {
+    label: "Tabellpoeng",
+    type: "select",
+    // Poengverdiene ligger i STANDINGS_SCHEMES (standings.js)
+    options: {
+      fivb: "3-0/3-1 = 3p, 3-2 = 2p, 2-3 = 1p",
+      win2: "Seier = 2p",
+      win3: "Seier = 3p",
+    },
+    default: "fivb",
+  },
+  h2hYears: {
+    label: "Innbyrdes oppgjør (år tilbake)",
+    type: "number",
+    default: 3,
+    min: 1,
+    max: 10,
+  },
+};
+
+/* Gyldig verdi for innstillingen, eller undefined. */
+function coerceSetting(name, value) {
+  const def = RUNTIME_SETTINGS[name];
+  if (!def) return undefined;
+
+  if (def.type === "select") {
+    return Object.prototype.hasOwnProperty.call(def.options, value) ? value : undefined;
+  }
+
+  if (def.type === "url") {
+    const v = String(value ?? "").trim().replace(/\/+$/, "");
+    if (!v) return "";
+    return /^https?:\/\/\S+$/i.test(v) ? v : undefined;
+  }
+
+  const n = Number(value);
+  if (value === "" || value == null || !Number.isFinite(n)) return undefined;
+  return Math.min(def.max, Math.max(def.min, Math.round(n)));
+}
+
+function defaultSettings() {
+  const out = {};
+  for (const [name, def] of Object.entries(RUNTIME_SETTINGS)) out[name] = def.default;
+  return out;
+}
+
+function readStoredSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || "null");
+    const out = {};
+    for (const name of Object.keys(RUNTIME_SETTINGS)) {
+      const v = raw ? coerceSetting(name, raw[name]) : undefined;
+      if (v !== undefined) out[name] = v;
+    }
+    return out;
+  } catch (e) {
+    return {};
+  }
+}
+
+let settingsState = { ...defaultSettings(), ...readStoredSettings() };
+const settingsListeners = new Set();
+
+function notifySettings() {
+  settingsListeners.forEach(fn => fn(settingsState));
+}
+
+function getSettings() {
+  return settingsState;
+}
+
+function getSetting(name) {
+  return settingsState[name];
+}
+
+/* Lagrer og tar i bruk en verdi. Returnerer false hvis verdien er ugyldig. */
+function setSetting(name, value) {
+  const v = coerceSetting(name, value);
+  if (v === undefined) return false;
+  if (settingsState[name] === v) return true;
+
+  settingsState = { ...settingsState, [name]: v };
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settingsState));
+  } catch (e) {
+    console.warn("Kunne ikke lagre innstillinger:", e);
+  }
+  notifySettings();
+  return true;
+}
+
+function resetSettings() {
+  try {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+  } catch (e) {}
+  settingsState = defaultSettings();
+  notifySettings();
+}
+
+function subscribeSettings(fn) {
+  settingsListeners.add(fn);
+  return () => settingsListeners.delete(fn);
+}
+
+window.addEventListener("storage", (e) => {
+  if (e.key !== SETTINGS_STORAGE_KEY) return;
+  settingsState = { ...defaultSettings(), ...readStoredSettings() };
+  notifySettings();
+});
+
+function useSettings() {
+  const [settings, setSettings] = React.useState(getSettings);
+  React.useEffect(() => {
+    setSettings(getSettings());
+    return subscribeSettings(setSettings);
+  }, []);
+  return settings;
+}
+
+/* ===========================
+   Runtime-valg av API-host
+   ===========================
+   Alle API-kall går via apiBase(), så frontendene kan pekes mot en annen
+   host uten å endre koden:
+
+   ?api=mock     -> MOCK_API_BASE (node mock-server.js)
+   ?api=<url>    -> egen host, f.eks. ?api=http://localhost:9000
+   ?api=prod     -> tilbake til produksjon (eller apiBase fra innstillingene)
+
+   Valget huskes i localStorage til det nullstilles, og vises som et
+   merke i headeren så man ikke glemmer at man kjører mot noe annet.
+*/
+
+const MOCK_API_BASE = "http://localhost:8787";
+const API_OVERRIDE_STORAGE_KEY = "volley.api.v1";
+
+function readApiOverride() {
+  let param = null;
+  try {
+    param = new URLSearchParams(window.location.search).get("api");
+  } catch (e) {}
+
+  if (param != null) {
+    const v = param.trim();
+    const next =
+      v === "mock" ? MOCK_API_BASE :
+      /^https?:\/\/\S+$/i.test(v) ? v.replace(/\/+$/, "") :
+      null;
+    try {
+      if (next) localStorage.setItem(API_OVERRIDE_STORAGE_KEY, next);
+      else localStorage.removeItem(API_OVERRIDE_STORAGE_KEY);
+    } catch (e) {}
+    return next;
+  }
+
+  try {
+    return localStorage.getItem(API_OVERRIDE_STORAGE_KEY) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+const API_OVERRIDE = readApiOverride();
+
+function apiBase() {
+  return API_OVERRIDE || settingsState.apiBase || DEFAULT_API_BASE;
+}
+
+function showApiOverrideBadge() {
+  const header = document.querySelector(".header");
+  if (!API_OVERRIDE || !header) return;
+
+  const a = document.createElement("a");
+  a.className = "apiOverride";
+  a.href = "?api=prod" + window.location.hash;
+  a.title = "Klikk for å gå tilbake til produksjons-API-et";
+  a.textContent = (API_OVERRIDE === MOCK_API_BASE ? "MOCK-API" : "API: " + API_OVERRIDE) + " ✕";
+  header.insertBefore(a, document.getElementById("settings-root"));
+}
+
+showApiOverrideBadge();
@@ -0,0 +1,268 @@
+/* ===========================
+   Land + flagg
+   ===========================
+   Landnavn (norsk/engelsk, fritekst) -> ISO-kode -> flagg-emoji.
+   Brukes av Livescore (landmerking av kamper) og Hub (spillere og lag).
+*/
+
+const COUNTRY_ALIASES = {
+  // Europa
+  "norway": "NO", "norge": "NO", "norwegian": "NO", "norsk": "NO",
+  "sweden": "SE", "sverige": "SE",
+  "denmark": "DK", "danmark": "DK",
+  "finland": "FI",
+  "iceland": "IS", "island": "IS",
+  "germany": "DE", "tyskland": "DE",
+  "france": "FR", "frankrike": "FR",
+  "italy": "IT", "italia": "IT",
+  "spain": "ES", "spania": "ES",
+  "portugal": "PT",
+  "netherlands": "NL", "nederland": "NL",
+  "belgium": "BE", "belgia": "BE",
+  "switzerland": "CH", "sveits": "CH",
+  "austria": "AT", "østerrike": "AT", "oesterreich": "AT",
+  "poland": "PL", "polen": "PL",
+  "czechia": "CZ", "czech republic": "CZ",
+  "slovakia": "SK",
+  "hungary": "HU", "ungarn": "HU",
+  "romania": "RO",
+  "bulgaria": "BG",
+  "slovenia": "SI",
+  "croatia": "HR",
+  "serbia": "RS",
+  "bosnia": "BA", "bosnia and herzegovina": "BA",
+  "montenegro": "ME",
+  "north macedonia": "MK", "macedonia": "MK",
+  "albania": "AL",
+  "greece": "GR",
+  "turkey": "TR", "tyrkia": "TR",
+  "ukraine": "UA",
+  "belarus": "BY",
+  "moldova": "MD",
+  "latvia": "LV",
+  "lithuania": "LT", "litauen": "LT",
+  "estonia": "EE", "estland": "EE",
+  "ireland": "IE",
+  "scotland": "GB",
+  "england": "GB",
+  "wales": "GB",
+  "kosovo": "XK",
+  "andorra": "AD",
+  "monaco": "MC",
+  "liechtenstein": "LI",
+  "luxembourg": "LU",
+  "san marino": "SM",
+  "malta": "MT",
+  "cyprus": "CY",
+
+  // Sør-Amerika
+  "brazil": "BR", "brasil": "BR",
+  "argentina": "AR",
+  "chile": "CL",
+  "uruguay": "UY",
+  "paraguay": "PY",
+  "bolivia": "BO",
+  "peru": "PE",
+  "ecuador": "EC",
+  "colombia": "CO",
+  "venezuela": "VE",
+  "suriname": "SR",
+  "guyana": "GY",
+
+  // Afrika
+  "south africa": "ZA",
+  "egypt": "EG",
+  "tunisia": "TN",
+  "morocco": "MA", "marokko": "MA",
+  "algeria": "DZ",
+  "nigeria": "NG",
+  "ghana": "GH",
+  "senegal": "SN",
+  "ivory coast": "CI", "cote d'ivoire": "CI",
+  "cameroon": "CM",
+  "kenya": "KE",
+  "uganda": "UG",
+  "tanzania": "TZ",
+  "ethiopia": "ET",
+  "angola": "AO",
+  "zambia": "ZM",
+  "zimbabwe": "ZW",
+  "mozambique": "MZ",
+  "namibia": "NA",
+  "botswana": "BW",
+  "madagascar": "MG",
+  "mali": "ML",
+  "niger": "NE",
+  "chad": "TD",
+  "sudan": "SD",
+  "south sudan": "SS",
+  "somalia": "SO",
+  "libya": "LY",
+  "democratic republic of the congo": "CD",
+  "congo": "CG",
+  "rwanda": "RW",
+  "burundi": "BI",
+  "sierra leone": "SL",
+  "liberia": "LR",
+  "benin": "BJ",
+  "togo": "TG",
+  "gambia": "GM",
+  "guinea": "GN",
+  "guinea-bissau": "GW",
+  "mauritania": "MR",
+  "cape verde": "CV", "cabo verde": "CV",
+
+  // bonus
+  "usa": "US", "united states": "US",
+  "canada": "CA",
+  "japan": "JP", "japen": "JP",
+};
+
+const ISO_LABEL = {
+  NO: "Norway",
+  SE: "Sweden",
+  DK: "Denmark",
+  FI: "Finland",
+  IS: "Iceland",
+  DE: "Germany",
+  FR: "France",
+  IT: "Italy",
+  ES: "Spain",
+  PT: "Portugal",
+  NL: "Netherlands",
+  BE: "Belgium",
+  CH: "Switzerland",
+  AT: "Austria",
+  PL: "Poland",
+  CZ: "Czechia",
+  SK: "Slovakia",
+  HU: "Hungary",
+  RO: "Romania",
+  BG: "Bulgaria",
+  SI: "Slovenia",
+  HR: "Croatia",
+  RS: "Serbia",
+  BA: "Bosnia & Herzegovina",
+  ME: "Montenegro",
+  MK: "North Macedonia",
+  AL: "Albania",
+  GR: "Greece",
+  TR: "Turkey",
+  UA: "Ukraine",
+  BY: "Belarus",
+  MD: "Moldova",
+  LV: "Latvia",
+  LT: "Lithuania",
+  EE: "Estonia",
+  IE: "Ireland",
+  GB: "United Kingdom",
+  XK: "Kosovo",
+  AD: "Andorra",
+  MC: "Monaco",
+  LI: "Liechtenstein",
+  LU: "Luxembourg",
+  SM: "San Marino",
+  MT: "Malta",
+  CY: "Cyprus",
+
+  BR: "Brazil",
+  AR: "Argentina",
+  CL: "Chile",
+  UY: "Uruguay",
+  PY: "Paraguay",
+  BO: "Bolivia",
+  PE: "Peru",
+  EC: "Ecuador",
+  CO: "Colombia",
+  VE: "Venezuela",
+  SR: "Suriname",
+  GY: "Guyana",
+
+  ZA: "South Africa",
+  EG: "Egypt",
+  TN: "Tunisia",
+  MA: "Morocco",
+  DZ: "Algeria",
+  NG: "Nigeria",
+  GH: "Ghana",
+  SN: "Senegal",
+  CI: "Ivory Coast",
+  CM: "Cameroon",
+  KE: "Kenya",
+  UG: "Uganda",
+  TZ: "Tanzania",
+  ET: "Ethiopia",
+  AO: "Angola",
+  ZM: "Zambia",
+  ZW: "Zimbabwe",
+  MZ: "Mozambique",
+  NA: "Namibia",
+  BW: "Botswana",
+  MG: "Madagascar",
+  ML: "Mali",
+  NE: "Niger",
+  TD: "Chad",
+  SD: "Sudan",
+  SS: "South Sudan",
+  SO: "Somalia",
+  LY: "Libya",
+  CD: "DR Congo",
+  CG: "Congo",
+  RW: "Rwanda",
+  BI: "Burundi",
+  SL: "Sierra Leone",
+  LR: "Liberia",
+  BJ: "Benin",
+  TG: "Togo",
+  GM: "Gambia",
+  GN: "Guinea",
+  GW: "Guinea-Bissau",
+  MR: "Mauritania",
+  CV: "Cabo Verde",
+
+  US: "United States",
+  CA: "Canada",
+  JP: "Japan",
+};
+
+function isoToFlag(iso) {
+  if (!iso || iso.length !== 2) return null;
+  const codePoints = [...iso.toUpperCase()]
+    .map(c => 0x1F1E6 + c.charCodeAt(0) - 65);
+  return String.fromCodePoint(...codePoints);
+}
+
+/*
+  Hele ord, og lengste navn først på samme sted i teksten: ellers blir
+  "Somalia" Mali, "South Sudan" Sudan og "Guinea-Bissau" Guinea.
+*/
+const COUNTRY_PATTERN = new RegExp(
+  "(?<!\\p{L})(" +
+    Object.keys(COUNTRY_ALIASES)
+      .sort((a, b) => b.length - a.length)
+      .map(k => k.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|") +
+    ")(?!\\p{L})",
+  "u"
+);
+
+/* ISO-kode for første land som nevnes i teksten, eller null. */
+function countryIso(text) {
+  const t = asStr(text).toLowerCase();
+  if (!t) return null;
+  const m = t.match(COUNTRY_PATTERN);
+  return m ? COUNTRY_ALIASES[m[1]] : null;
+}
+
+/* Norsk spiller etter nasjonalitetsfeltet (fritekst). */
+function isNorwegianPlayer(p) {
+  return countryIso(p?.nationality) === "NO";
+}
+
+/* "🇳🇴 Norway" for kjente land, ellers teksten som den er. */
+function countryWithFlag(text) {
+  const iso = countryIso(text);
+  const flag = isoToFlag(iso);
+  if (!flag) return nonEmpty(text);
+  return `${flag} ${ISO_LABEL[iso] || nonEmpty(text) || iso}`;
+}
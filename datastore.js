@@ -0,0 +1,327 @@
+/* ===========================
+   Felles datalag: lag, spillere og kamper
+   ===========================
+   Livescore (live.js) og Hub (hub.js) deler én henting av /teams og
+   /players, én normalisering og ferdige oppslag:
+
+   Team:   { id, name, country, league, groupType, sofascoreTeamId,
+             tournamentId, widgetName, homepageUrl, streamUrl }
+   Player: { id, name, position, jersey, nationality, externalUrl,
+             instagram, heightCm, birthYear, teamId, sofascoreTeamId }
+   Event:  normalizeEvent(raw) -> { raw, startTs, eventId, homeId, awayId,
+             homeName, awayName, tournamentId, tournamentName, seasonName,
+             groupType, format, score }   (homeId/awayId er SofaScore-id-er)
+
+   Bare lederfanen henter (tabsync.js); de andre fanene får dataene på
+   kanalen under "data-core".
+*/
+
+/* ===========================
+   Generelle helpers (brukes også av live.js og hub.js)
+   =========================== */
+function safeArray(x) { return Array.isArray(x) ? x : []; }
+function asStr(v){ return (v == null) ? "" : String(v).trim(); }
+function nonEmpty(v){ const s = asStr(v); return s ? s : null; }
+function asNum(v){
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+function pickNumber(){
+  for (let i = 0; i < arguments.length; i++){
+    const v = arguments[i];
+    if (v === 0) return 0;
+    if (v == null) continue;
+    const n = Number(v);
+    if (!Number.isNaN(n)) return n;
+  }
+  return null;
+}
+
+/* ===========================
+   Normalisering
+   =========================== */
+function normalizeGroupType(v){
+  const s = asStr(v).toLowerCase();
+  if (!s) return null;
+  if (s === "mizuno" || s.includes("mizuno")) return "mizuno";
+  if (
+    s === "abroad" ||
+    s.includes("utland") ||
+    s.includes("utlandet") ||
+    s.includes("norske spillere i utlandet")
+  ) return "abroad";
+  return "other";
+}
+
+function normalizeTeam(t){
+  return {
+    id: nonEmpty(t.id) ?? (t.id === 0 ? "0" : null),
+    name: asStr(t.name) || "—",
+    country: nonEmpty(t.country),
+    league: nonEmpty(t.league),
+    groupType: normalizeGroupType(t.group_type),
+    sofascoreTeamId: asNum(t.sofascore_team_id),
+    tournamentId: nonEmpty(t.tournament_id),
+    widgetName: nonEmpty(t.widget_name),
+    homepageUrl: nonEmpty(t.homepage_url),
+    streamUrl: nonEmpty(t.stream_url),
+  };
+}
+
+function normalizePlayer(p){
+  return {
+    id: nonEmpty(p.id),
+    name: asStr(p.name) || "—",
+    position: nonEmpty(p.position),
+    jersey: nonEmpty(p.jersey_number),
+    nationality: nonEmpty(p.nationality),
+    externalUrl: nonEmpty(p.external_url),
+    instagram: nonEmpty(p.instagram),
+    heightCm: nonEmpty(p.height_cm),
+    birthYear: nonEmpty(p.birth_year),
+    teamId: nonEmpty(p.team_id),
+    sofascoreTeamId: asNum(p.sofascore_team_id),
+  };
+}
+
+function extractScore(raw){
+  const homeSets = pickNumber(raw.home_sets, raw.homeScore?.current);
+  const awaySets = pickNumber(raw.away_sets, raw.awayScore?.current);
+
+  const sets = [];
+  const n = maxSets(detectScoringFormat(raw));
+  for (let i = 1; i <= n; i++){
+    const hp = pickNumber(raw["home_p" + i], raw.homeScore?.["period" + i]);
+    const ap = pickNumber(raw["away_p" + i], raw.awayScore?.["period" + i]);
+    if (hp != null || ap != null) sets.push({ no: i, home: hp, away: ap });
+  }
+
+  return { homeSets: (homeSets == null ? 0 : homeSets), awaySets: (awaySets == null ? 0 : awaySets), sets };
+}
+
+function isFinished(raw){
+  const t = String(
+    raw.status_type ??
+    raw.statusType ??
+    raw.status ??
+    raw.status?.type ??
+    raw.status?.description ??
+    ""
+  ).toLowerCase();
+  if (t.includes("finished") || t.includes("ended") || t.includes("complete") || t === "ft") return true;
+  if (raw.winnerCode != null) return true;
+
+  // Ingen status: ferdig når et lag har vunnet nok sett for formatet
+  const homeSets = pickNumber(raw.home_sets, raw.homeScore?.current);
+  const awaySets = pickNumber(raw.away_sets, raw.awayScore?.current);
+  return hasMatchWinner(homeSets, awaySets, detectScoringFormat(raw));
+}
+
+// Lag-id i et event kan være SofaScore-id eller db-id; oversettes via lagene i storen
+function toSofaTeamId(x){
+  if (x == null) return null;
+
+  const n = Number(x);
+
+  // Ser ut som SofaScore-id (typisk store tall)
+  if (Number.isFinite(n) && n > 1000) return n;
+
+  const team = teamById(x);
+  if (team && team.sofascoreTeamId != null) return team.sofascoreTeamId;
+
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeEvent(raw){
+  return {
+    raw,
+    startTs: raw.start_ts ?? raw.startTimestamp ?? null,
+    eventId: raw.event_id ?? raw.id ?? null,
+
+    homeId: toSofaTeamId(raw.home_team_id ?? raw.homeTeam?.id ?? null),
+    awayId: toSofaTeamId(raw.away_team_id ?? raw.awayTeam?.id ?? null),
+
+    homeName: raw.home_team_name ?? raw.homeTeam?.name ?? "Home",
+    awayName: raw.away_team_name ?? raw.awayTeam?.name ?? "Away",
+
+    tournamentId: raw.tournament_id ?? raw.tournament?.id ?? null,
+    tournamentName: raw.tournament_name ?? raw.tournament?.name ?? "",
+    seasonName: raw.season_name ?? raw.season?.name ?? "",
+    groupType: normalizeGroupType(raw.group_type ?? raw.groupType ?? null),
+
+    format: detectScoringFormat(raw),
+    score: extractScore(raw),
+  };
+}
+
+/*
+  En ferdig kamp sett fra ett lag (SofaScore-id), eller null hvis laget
+  ikke spilte. sets har bare sett med poeng for begge lag.
+*/
+function eventForTeam(e, sofaId){
+  const isHome = e.homeId === sofaId;
+  if (!isHome && e.awayId !== sofaId) return null;
+
+  const setsFor = isHome ? e.score.homeSets : e.score.awaySets;
+  const setsAgainst = isHome ? e.score.awaySets : e.score.homeSets;
+  const sets = e.score.sets
+    .filter(s => s.home != null && s.away != null)
+    .map(s => ({ no: s.no, for: isHome ? s.home : s.away, against: isHome ? s.away : s.home }));
+
+  return {
+    e,
+    isHome,
+    opponentId: isHome ? e.awayId : e.homeId,
+    opponentName: isHome ? e.awayName : e.homeName,
+    setsFor,
+    setsAgainst,
+    won: setsFor > setsAgainst,
+    // Avgjørende sett spilt (3-2 / 2-1)
+    deciding: setsFor + setsAgainst >= maxSets(e.format),
+    sets,
+    pointsFor: sets.reduce((sum, s) => sum + s.for, 0),
+    pointsAgainst: sets.reduce((sum, s) => sum + s.against, 0),
+  };
+}
+
+/* ===========================
+   Store
+   =========================== */
+function buildDataState(teams, players, loadedAt){
+  const teamsById = new Map();
+  const teamsBySofaId = new Map();
+  for (const t of teams) {
+    teamsById.set(t.id, t);
+    if (t.sofascoreTeamId != null) teamsBySofaId.set(t.sofascoreTeamId, t);
+  }
+
+  const playersById = new Map();
+  const playersBySofaTeamId = new Map();
+  for (const p of players) {
+    playersById.set(p.id, p);
+    if (p.sofascoreTeamId == null) continue;
+    if (!playersBySofaTeamId.has(p.sofascoreTeamId)) playersBySofaTeamId.set(p.sofascoreTeamId, []);
+    playersBySofaTeamId.get(p.sofascoreTeamId).push(p);
+  }
+
+  return { teams, players, teamsById, teamsBySofaId, playersById, playersBySofaTeamId, loadedAt };
+}
+
+let dataState = buildDataState([], [], null);
+let dataLoading = null;
+const dataListeners = new Set();
+
+function setDataStore(teams, players, loadedAt){
+  dataState = buildDataState(safeArray(teams), safeArray(players), loadedAt ?? Date.now());
+  dataListeners.forEach(fn => fn(dataState));
+}
+
+function getDataStore(){
+  return dataState;
+}
+
+function subscribeDataStore(fn){
+  dataListeners.add(fn);
+  return () => dataListeners.delete(fn);
+}
+
+function teamById(id){
+  return id == null ? null : (dataState.teamsById.get(String(id)) || null);
+}
+
+function teamBySofaId(sofaId){
+  const n = asNum(sofaId);
+  return n == null ? null : (dataState.teamsBySofaId.get(n) || null);
+}
+
+function playerById(id){
+  return id == null ? null : (dataState.playersById.get(String(id)) || null);
+}
+
+function playersOfSofaTeam(sofaId){
+  const n = asNum(sofaId);
+  return n == null ? [] : (dataState.playersBySofaTeamId.get(n) || []);
+}
+
+async function fetchDataJson(path, signal){
+  const res = await fetch(apiBase() + path, { headers: { "Accept": "application/json" }, signal, cache: "no-store" });
+  if (!res.ok) throw new Error(String(res.status) + " " + String(res.statusText));
+  return res.json();
+}
+
+const EVENTS_PAGE_SIZE = 1000;
+const EVENTS_MAX_PAGES = 10;
+
+/*
+  Kamper (rå) mellom fromTs og toTs (sekunder), side for side:
+  { rows, truncated }. /events kan ikke filtreres på lag eller turnering,
+  så over EVENTS_MAX_PAGES sider stopper vi; truncated sier da at
+  perioden har flere kamper enn vi fikk, og tall regnet ut fra rows må
+  vises som ufullstendige (TruncatedMarker i standings.js).
+*/
+async function fetchEventsRange(fromTs, toTs, signal){
+  const out = [];
+  for (let page = 0; page < EVENTS_MAX_PAGES; page++) {
+    const offset = page * EVENTS_PAGE_SIZE;
+    const rows = safeArray(await fetchDataJson(
+      `/events?from_ts=${fromTs}&to_ts=${toTs}&limit=${EVENTS_PAGE_SIZE}&offset=${offset}`,
+      signal
+    ));
+    out.push(...rows);
+    if (rows.length < EVENTS_PAGE_SIZE) return { rows: out, truncated: false };
+  }
+  return { rows: out, truncated: true };
+}
+
+/*
+  Henter lag og spillere hvis dataene mangler eller er eldre enn
+  opts.maxAgeMs (standard innstillingen coreRefreshMs; 0 = alltid). Samtidige kall
+  deler samme henting. Avviser (throw) ved feil.
+*/
+function loadDataStore(opts){
+  const maxAgeMs = opts?.maxAgeMs ?? getSetting("coreRefreshMs");
+  if (dataLoading) return dataLoading;
+  if (dataState.loadedAt && Date.now() - dataState.loadedAt < maxAgeMs) {
+    return Promise.resolve(dataState);
+  }
+
+  dataLoading = (async () => {
+    const [teamsData, playersData] = await Promise.all([
+      fetchDataJson("/teams?limit=1000&offset=0"),
+      fetchDataJson("/players?limit=1000&offset=0"),
+    ]);
+
+    const teamsArr = Array.isArray(teamsData) ? teamsData : safeArray(teamsData?.items);
+    const playersArr = Array.isArray(playersData) ? playersData : safeArray(playersData?.items);
+
+    setDataStore(
+      teamsArr.map(normalizeTeam).filter(t => t && t.id),
+      playersArr.map(normalizePlayer).filter(p => p && p.id)
+    );
+    publishTabData("data-core", { teams: dataState.teams, players: dataState.players, loadedAt: dataState.loadedAt });
+    return dataState;
+  })().finally(() => {
+    dataLoading = null;
+  });
+  return dataLoading;
+}
+
+subscribeTabData("data-core", (d) => setDataStore(d.teams, d.players, d.loadedAt));
+
+// Ny API-host i innstillingene: hent på nytt derfra
+let dataApiBase = apiBase();
+subscribeSettings(() => {
+  if (apiBase() === dataApiBase) return;
+  dataApiBase = apiBase();
+  if (isTabLeader()) loadDataStore({ maxAgeMs: 0 }).catch(e => console.warn("Feil ved henting av lag/spillere:", e));
+});
+
+function useDataStore(){
+  const [state, setState] = React.useState(getDataStore);
+  React.useEffect(() => {
+    setState(getDataStore());
+    return subscribeDataStore(setState);
+  }, []);
+  return state;
+}
@@ -0,0 +1,116 @@
+/* ===========================
+   Favoritter (lag + spillere)
+   ===========================
+   Felles for Livescore og Volley Hub: begge React-rotene leser samme store,
+   så en stjerne satt i Hub vises med en gang i Livescore (og omvendt).
+   Lagres i localStorage; endringer fra andre faner plukkes opp via "storage".
+
+   - teams:   SofaScore team-id (string) – det er den /live kjenner
+   - players: player.id (string)
+*/
+
+const FAVORITES_STORAGE_KEY = "volley.favorites.v1";
+
+let favoritesState = readFavorites();
+const favoritesListeners = new Set();
+
+function readFavorites() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(FAVORITES_STORAGE_KEY) || "null");
+    return {
+      teams: Array.isArray(raw?.teams) ? raw.teams.map(String) : [],
+      players: Array.isArray(raw?.players) ? raw.players.map(String) : [],
+    };
+  } catch (e) {
+    return { teams: [], players: [] };
+  }
+}
+
+function writeFavorites(next) {
+  favoritesState = next;
+  try {
+    localStorage.setItem(FAVORITES_STORAGE_KEY, JSON.stringify(next));
+  } catch (e) {
+    console.warn("Kunne ikke lagre favoritter:", e);
+  }
+  favoritesListeners.forEach(fn => fn(next));
+}
+
+function getFavorites() {
+  return favoritesState;
+}
+
+function subscribeFavorites(fn) {
+  favoritesListeners.add(fn);
+  return () => favoritesListeners.delete(fn);
+}
+
+function toggleInList(list, id) {
+  return list.includes(id) ? list.filter(x => x !== id) : [...list, id];
+}
+
+function toggleFavoriteTeam(sofaTeamId) {
+  if (sofaTeamId == null || sofaTeamId === "") return;
+  const id = String(sofaTeamId);
+  writeFavorites({ ...favoritesState, teams: toggleInList(favoritesState.teams, id) });
+}
+
+function toggleFavoritePlayer(playerId) {
+  if (playerId == null || playerId === "") return;
+  const id = String(playerId);
+  writeFavorites({ ...favoritesState, players: toggleInList(favoritesState.players, id) });
+}
+
+function isFavoriteTeam(favs, sofaTeamId) {
+  return sofaTeamId != null && favs.teams.includes(String(sofaTeamId));
+}
+
+function isFavoritePlayer(favs, playerId) {
+  return playerId != null && favs.players.includes(String(playerId));
+}
+
+/*
+  Lag-id-er (SofaScore) som er "mine": stjernede lag + lagene til
+  stjernede spillere. players må ha { id, sofascoreTeamId }.
+*/
+function favoriteTeamIdSet(favs, players) {
+  const ids = new Set(favs.teams);
+  if (favs.players.length) {
+    for (const p of (Array.isArray(players) ? players : [])) {
+      if (p && p.sofascoreTeamId != null && isFavoritePlayer(favs, p.id)) {
+        ids.add(String(p.sofascoreTeamId));
+      }
+    }
+  }
+  return ids;
+}
+
+window.addEventListener("storage", (e) => {
+  if (e.key !== FAVORITES_STORAGE_KEY) return;
+  favoritesState = readFavorites();
+  favoritesListeners.forEach(fn => fn(favoritesState));
+});
+
+function useFavorites() {
+  const [favs, setFavs] = React.useState(getFavorites);
+  React.useEffect(() => {
+    setFavs(getFavorites());
+    return subscribeFavorites(setFavs);
+  }, []);
+  return favs;
+}
+
+function StarButton({ active, onToggle, label }) {
+  return (
+    <button
+      type="button"
+      className={"starBtn" + (active ? " active" : "")}
+      aria-pressed={active}
+      title={active ? "Fjern fra favoritter" : "Legg til i favoritter"}
+      aria-label={active ? `Fjern ${label || ""} fra favoritter` : `Legg til ${label || ""} i favoritter`}
+      onClick={(e) => { e.stopPropagation(); onToggle(); }}
+    >
+      {active ? "★" : "☆"}
+    </button>
+  );
+}
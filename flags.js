@@ -0,0 +1,117 @@
+/* ===========================
+   Feature-flagg
+   ===========================
+   Eksperimenter i Livescore slås av/på i runtime i stedet for å leve i
+   egne kopier av koden (tidligere live2.js / index2.html).
+
+   Query-string (gjelder bare den siden, lagres ikke):
+     ?flags=serveRunLevels,momentum   slå på
+     ?flags=-momentum                 slå av
+     ?flags=v2                        forhåndsvalg, se FEATURE_FLAG_PRESETS
+   Innstillinger (lagres i localStorage): setFeatureFlag(name, on),
+   resetFeatureFlags(). Panelet ligger i settings.js.
+   Rekkefølge: standard < lagret < query-string.
+
+   index2.html er bare igjen for gamle lenker og bokmerker: den sender
+   videre til index.html?flags=v2 (query og hash beholdes). Ikke et eget
+   inngangspunkt – ingen scripts, og den ligger ikke i sw.js.
+*/
+
+const FEATURE_FLAGS = {
+  serveRunLevels: {
+    label: "Serve-rekker med nivåer",
+    desc: "🔥 fra 2 poeng på rad, blink fra 3, 🎉 fra 4 (ellers: 🔥 og blink fra 2)",
+    default: false,
+  },
+  momentum: {
+    label: "Momentum-graf",
+    desc: "Poeng-for-poeng-graf for kampen i fokus",
+    default: false,
+  },
+};
+
+const FEATURE_FLAG_PRESETS = {
+  v1: { serveRunLevels: false, momentum: false },
+  v2: { serveRunLevels: true, momentum: true },
+};
+
+const FEATURE_FLAGS_STORAGE_KEY = "volley.flags.v1";
+
+function defaultFeatureFlags() {
+  const out = {};
+  for (const [name, def] of Object.entries(FEATURE_FLAGS)) out[name] = def.default;
+  return out;
+}
+
+function readStoredFeatureFlags() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(FEATURE_FLAGS_STORAGE_KEY) || "null");
+    const out = {};
+    for (const name of Object.keys(FEATURE_FLAGS)) {
+      if (raw && typeof raw[name] === "boolean") out[name] = raw[name];
+    }
+    return out;
+  } catch (e) {
+    return {};
+  }
+}
+
+function parseFeatureFlagQuery(search) {
+  const out = {};
+  const raw = new URLSearchParams(search).get("flags");
+  if (!raw) return out;
+
+  for (const part of raw.split(",").map(s => s.trim()).filter(Boolean)) {
+    if (FEATURE_FLAG_PRESETS[part]) {
+      Object.assign(out, FEATURE_FLAG_PRESETS[part]);
+      continue;
+    }
+    const off = part.startsWith("-");
+    const name = off ? part.slice(1) : part;
+    if (FEATURE_FLAGS[name]) out[name] = !off;
+    else console.warn("Ukjent feature-flagg:", name);
+  }
+  return out;
+}
+
+const featureFlagQuery = parseFeatureFlagQuery(window.location.search);
+let featureFlagsState = { ...defaultFeatureFlags(), ...readStoredFeatureFlags(), ...featureFlagQuery };
+const featureFlagsListeners = new Set();
+
+function getFeatureFlags() {
+  return featureFlagsState;
+}
+
+function setFeatureFlag(name, on) {
+  if (!FEATURE_FLAGS[name]) return;
+  const stored = { ...readStoredFeatureFlags(), [name]: !!on };
+  try {
+    localStorage.setItem(FEATURE_FLAGS_STORAGE_KEY, JSON.stringify(stored));
+  } catch (e) {
+    console.warn("Kunne ikke lagre feature-flagg:", e);
+  }
+  featureFlagsState = { ...featureFlagsState, [name]: !!on };
+  featureFlagsListeners.forEach(fn => fn(featureFlagsState));
+}
+
+function resetFeatureFlags() {
+  try {
+    localStorage.removeItem(FEATURE_FLAGS_STORAGE_KEY);
+  } catch (e) {}
+  featureFlagsState = { ...defaultFeatureFlags(), ...featureFlagQuery };
+  featureFlagsListeners.forEach(fn => fn(featureFlagsState));
+}
+
+function subscribeFeatureFlags(fn) {
+  featureFlagsListeners.add(fn);
+  return () => featureFlagsListeners.delete(fn);
+}
+
+function useFeatureFlags() {
+  const [flags, setFlags] = React.useState(getFeatureFlags);
+  React.useEffect(() => {
+    setFlags(getFeatureFlags());
+    return subscribeFeatureFlags(setFlags);
+  }, []);
+  return flags;
+}
@@ -0,0 +1,271 @@
+/* ===========================
+   Innbyrdes oppgjør (Hub)
+   ===========================
+   Tidligere møter mellom to lag (SofaScore-id-er), hentet fra /events
+   over de siste h2hYears årene (se config.js): resultater med settsifre,
+   seire, sett og snitt poengdifferanse.
+
+   Vises når en kommende kamp er i fokus, og som egen side:
+   #/hub/compare?a=<SofaScore-id>&b=<SofaScore-id>
+
+   /events kan ikke filtreres på lag, så perioden hentes ett år om
+   gangen, nyeste først: siste års møter vises med en gang, og taket i
+   fetchEventsRange gjelder per år i stedet for hele perioden. Hvert år
+   deles av alle lagpar til det er H2H_CACHE_MS gammelt, og hentingen
+   stopper når panelet lukkes.
+*/
+
+const H2H_CACHE_MS = 10 * 60 * 1000;
+const H2H_WINDOW_SECONDS = Math.round(365.25 * 24 * 3600);
+
+const h2hWindowCache = new Map(); // key -> { at, promise }
+
+/* År nr. i (0 = siste år), regnet fra slutten av dagen (UTC) så nøkkelen holder seg gjennom dagen. */
+function h2hWindow(i) {
+  const endOfDay = (Math.floor(Date.now() / 86400000) + 1) * 86400;
+  const toTs = endOfDay - i * H2H_WINDOW_SECONDS;
+  return { fromTs: toTs - H2H_WINDOW_SECONDS, toTs };
+}
+
+function loadH2HWindow(i) {
+  const now = Date.now();
+  for (const [k, c] of h2hWindowCache) {
+    if (now - c.at >= H2H_CACHE_MS) h2hWindowCache.delete(k);
+  }
+
+  const { fromTs, toTs } = h2hWindow(i);
+  const key = apiBase() + "|" + fromTs;
+  const cached = h2hWindowCache.get(key);
+  if (cached) return cached.promise;
+
+  // -> { events, truncated }. to_ts er inklusiv, så nabovinduene får ikke samme kamp.
+  const promise = fetchEventsRange(fromTs, toTs - 1)
+    .then(({ rows, truncated }) => ({ events: rows.map(r => normalizeEvent(r)), truncated }));
+  h2hWindowCache.set(key, { at: now, promise });
+  // Feil skal ikke bli liggende i cachen
+  promise.catch(() => { if (h2hWindowCache.get(key)?.promise === promise) h2hWindowCache.delete(key); });
+  return promise;
+}
+
+/*
+  Henter years år bakover, nyeste først. onWindow({ events, truncated, done })
+  kalles etter hvert år med alt hentet så langt; isCancelled() stopper før
+  neste år.
+*/
+async function loadH2HEvents(years, onWindow, isCancelled) {
+  let events = [];
+  let truncated = false;
+  for (let i = 0; i < years; i++) {
+    if (isCancelled()) return;
+    const res = await loadH2HWindow(i);
+    if (isCancelled()) return;
+    events = events.concat(res.events);
+    truncated = truncated || res.truncated;
+    onWindow({ events, truncated, done: i === years - 1 });
+  }
+}
+
+function isMeeting(e, a, b) {
+  return (e.homeId === a && e.awayId === b) || (e.homeId === b && e.awayId === a);
+}
+
+/* Ferdige møter mellom a og b, nyeste først, sett fra a (eventForTeam). */
+function headToHeadMeetings(events, a, b) {
+  const seen = new Set();
+  const out = [];
+  for (const e of events) {
+    if (!isMeeting(e, a, b) || !isFinished(e.raw)) continue;
+    const id = e.eventId ?? `${e.homeId}|${e.awayId}|${e.startTs}`;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    out.push(eventForTeam(e, a));
+  }
+  return out.sort((x, y) => (y.e.startTs ?? 0) - (x.e.startTs ?? 0));
+}
+
+/* Sammendrag sett fra a. avgMargin er null når ingen møter har settpoeng. */
+function headToHeadTotals(meetings) {
+  const withPoints = meetings.filter(m => m.sets.length > 0);
+  const margin = withPoints.reduce((sum, m) => sum + (m.pointsFor - m.pointsAgainst), 0);
+  return {
+    played: meetings.length,
+    wins: meetings.filter(m => m.won).length,
+    losses: meetings.filter(m => !m.won && m.setsFor !== m.setsAgainst).length,
+    setsFor: meetings.reduce((sum, m) => sum + m.setsFor, 0),
+    setsAgainst: meetings.reduce((sum, m) => sum + m.setsAgainst, 0),
+    avgMargin: withPoints.length ? margin / withPoints.length : null,
+  };
+}
+
+function formatMargin(n) {
+  if (n == null) return "—";
+  const r = Math.round(n * 10) / 10;
+  return (r > 0 ? "+" : "") + r.toLocaleString("nb-NO");
+}
+
+function h2hDate(ts) {
+  if (!ts) return "—";
+  return new Date(ts * 1000).toLocaleDateString("nb-NO", { day: "2-digit", month: "short", year: "numeric" });
+}
+
+/* ===========================
+   Visning
+   =========================== */
+const H2H_YEAR_CHOICES = [1, 2, 3, 5, 10];
+
+function HeadToHeadPanel({ teamA, teamB, nameA, nameB, showCompareLink }) {
+  const settings = useSettings();
+  const years = settings.h2hYears;
+  const [events, setEvents] = React.useState(null);
+  const [truncated, setTruncated] = React.useState(false);
+  const [done, setDone] = React.useState(false);
+  const [error, setError] = React.useState("");
+
+  const a = asNum(teamA);
+  const b = asNum(teamB);
+
+  React.useEffect(() => {
+    if (a == null || b == null) return;
+    let cancelled = false;
+    setEvents(null);
+    setTruncated(false);
+    setDone(false);
+    setError("");
+    loadH2HEvents(years, (res) => {
+      setEvents(res.events);
+      setTruncated(res.truncated);
+      setDone(res.done);
+    }, () => cancelled)
+      .catch((e) => {
+        if (cancelled) return;
+        console.warn("Innbyrdes oppgjør feilet:", e);
+        setError(String(e?.message ?? e));
+      });
+    return () => { cancelled = true; };
+  }, [a, b, years, settings.apiBase]);
+
+  const meetings = React.useMemo(
+    () => (events && a != null && b != null ? headToHeadMeetings(events, a, b) : []),
+    [events, a, b]
+  );
+  const totals = React.useMemo(() => headToHeadTotals(meetings), [meetings]);
+
+  if (a == null || b == null) return null;
+
+  const labelA = nameA || teamBySofaId(a)?.name || String(a);
+  const labelB = nameB || teamBySofaId(b)?.name || String(b);
+  const yearChoices = H2H_YEAR_CHOICES.includes(years) ? H2H_YEAR_CHOICES : [...H2H_YEAR_CHOICES, years].sort((x, y) => x - y);
+
+  return (
+    // Panelet ligger inne i klikkbare MatchCard-er
+    <div className="h2hPanel" onClick={(ev) => ev.stopPropagation()} onKeyDown={(ev) => ev.stopPropagation()}>
+      <div className="h2hHead">
+        <strong>Innbyrdes oppgjør</strong>
+        <select
+          value={years}
+          onChange={(ev) => setSetting("h2hYears", ev.target.value)}
+          aria-label={RUNTIME_SETTINGS.h2hYears.label}
+        >
+          {yearChoices.map(y => <option key={y} value={y}>Siste {y} år</option>)}
+        </select>
+      </div>
+
+      {error && <div className="alert">Kunne ikke hente kamper: {error}</div>}
+      {!error && !events && <div className="sub">Henter kamper…</div>}
+      {events && <TruncatedMarker truncated={truncated} />}
+
+      {done && meetings.length === 0 && (
+        <div className="sub">Ingen møter mellom {labelA} og {labelB} de siste {years} årene.</div>
+      )}
+      {!error && events && !done && <div className="sub">Henter eldre kamper…</div>}
+
+      {meetings.length > 0 && (
+        <>
+          <div className="h2hTotals">
+            <div><span className="h2hBig">{totals.wins}–{totals.losses}</span><span className="sub">Seire</span></div>
+            <div><span className="h2hBig">{totals.setsFor}–{totals.setsAgainst}</span><span className="sub">Sett</span></div>
+            <div>
+              <span className="h2hBig">{formatMargin(totals.avgMargin)}</span>
+              <span className="sub">Poeng/kamp</span>
+            </div>
+          </div>
+          <div className="sub">Sett fra {labelA} · {totals.played} {totals.played === 1 ? "kamp" : "kamper"}</div>
+
+          <div className="h2hList">
+            {meetings.map(m => (
+              <div key={m.e.eventId ?? m.e.startTs} className={"h2hRow" + (m.won ? " won" : " lost")}>
+                <span className="h2hDate">{h2hDate(m.e.startTs)}</span>
+                <span className="h2hTeams">
+                  {m.e.homeName} – {m.e.awayName}
+                  <span className="sub">{compHeaderText(m.e)}</span>
+                </span>
+                <span className="h2hScore">
+                  <strong>{m.e.score.homeSets}–{m.e.score.awaySets}</strong>
+                  {m.e.score.sets.length > 0 && (
+                    <span className="sub">
+                      ({m.e.score.sets.map(s => `${s.home ?? "—"}-${s.away ?? "—"}`).join(", ")})
+                    </span>
+                  )}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      {showCompareLink && (
+        <a className="btn" href={buildHash("hub", ["compare"], { a, b })}>Åpne sammenligning →</a>
+      )}
+    </div>
+  );
+}
+
+/* #/hub/compare: velg to lag og se innbyrdes oppgjør */
+function CompareView({ teamA, teamB, teams, onChange }) {
+  const options = React.useMemo(
+    () => teams
+      .filter(t => t.sofascoreTeamId != null)
+      .sort((x, y) => x.name.localeCompare(y.name, "nb")),
+    [teams]
+  );
+
+  const picker = (value, other, label, key) => (
+    <select
+      value={value ?? ""}
+      onChange={(ev) => onChange({ a: teamA, b: teamB, [key]: ev.target.value || null })}
+      aria-label={label}
+    >
+      <option value="">{label}</option>
+      {options.map(t => (
+        <option key={t.id} value={t.sofascoreTeamId} disabled={String(t.sofascoreTeamId) === String(other)}>
+          {t.name}{t.league ? ` (${t.league})` : ""}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="card">
+      <div className="name">⚔️ Sammenlign lag</div>
+      <div className="h2hPickers">
+        {picker(teamA, teamB, "Velg lag A", "a")}
+        <button
+          type="button"
+          className="btn"
+          title="Bytt om"
+          disabled={!teamA && !teamB}
+          onClick={() => onChange({ a: teamB, b: teamA })}
+        >
+          ⇄
+        </button>
+        {picker(teamB, teamA, "Velg lag B", "b")}
+      </div>
+
+      {teamA && teamB && String(teamA) !== String(teamB) ? (
+        <HeadToHeadPanel teamA={teamA} teamB={teamB} />
+      ) : (
+        <div className="sub" style={{ marginTop: 10 }}>Velg to lag for å se tidligere møter.</div>
+      )}
+    </div>
+  );
+}
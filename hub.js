@@ -1,31 +1,14 @@
-const { useEffect, useMemo, useRef, useState } = React;
+const { useCallback, useEffect, useMemo, useRef, useState } = React;
 
 /* ===========================
-   API base
+   API-host, polling og tidsvinduer ligger i innstillingene (config.js):
+   apiBase(), getSetting("hubPollMs" | "lookaheadDays" | "lookbackDays")
    =========================== */
-const API_BASE_TEAMS   = "https://volleyball.ronesse.no";
-const API_BASE_PLAYERS = "https://volleyball.ronesse.no";
-const API_BASE_EVENTS  = "https://volleyball.ronesse.no";
-
-/* ===========================
-   Settings
-   =========================== */
-const POLL_MS = 15000;
-const CORE_REFRESH_MS = 10 * 60 * 1000; // 10 minutter
-const LOOKAHEAD_DAYS = 14;
-const LOOKBACK_DAYS = 30;
 
 /* ===========================
    Helpers
    =========================== */
-function safeArray(x){ return Array.isArray(x) ? x : []; }
-function asStr(v){ return (v == null) ? "" : String(v).trim(); }
-function nonEmpty(v){ const s = asStr(v); return s ? s : null; }
-function asNum(v){
-  if (v == null || v === "") return null;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
+// safeArray, asStr, nonEmpty, asNum, pickNumber: datastore.js
 function initials(name){
   const s = asStr(name);
   if (!s) return "—";
@@ -34,18 +17,6 @@ function initials(name){
   const b = (parts[1]?.[0] || "").toUpperCase();
   return (a+b) || s.slice(0,2).toUpperCase();
 }
-function normalizeGroupType(v){
-  const s = asStr(v).toLowerCase();
-  if (!s) return null;
-  if (s === "mizuno" || s.includes("mizuno")) return "mizuno";
-  if (
-    s === "abroad" ||
-    s.includes("utland") ||
-    s.includes("utlandet") ||
-    s.includes("norske spillere i utlandet")
-  ) return "abroad";
-  return "other";
-}
 function formatTs(tsSeconds){
   if(!tsSeconds) return "—";
   const d = new Date(tsSeconds * 1000);
@@ -89,103 +60,22 @@ function MiniLogo({ src }){
 function teamLogoUrl(sofaTeamId){
   const id = nonEmpty(sofaTeamId);
   if (!id) return null;
-  return API_BASE_EVENTS + "/img/teams/" + id + ".png";
+  return apiBase() + "/img/teams/" + id + ".png";
 }
 function tournamentLogoUrl(tournamentId){
   const id = nonEmpty(tournamentId);
   if (!id) return null;
-  return API_BASE_EVENTS + "/img/tournaments/" + String(id).trim() + ".png";
+  return apiBase() + "/img/tournaments/" + String(id).trim() + ".png";
 }
 function playerPhotoUrl(playerId){
   const id = nonEmpty(playerId);
   if (!id) return null;
-  return API_BASE_PLAYERS + "/img/players/" + id + ".jpg";
+  return apiBase() + "/img/players/" + id + ".jpg";
 }
 
 /* ===========================
    Events helpers
    =========================== */
-function pickNumber(){
-  for (let i=0;i<arguments.length;i++){
-    const v = arguments[i];
-    if (v === 0) return 0;
-    if (v == null) continue;
-    const n = Number(v);
-    if (!Number.isNaN(n)) return n;
-  }
-  return null;
-}
-function extractScore(raw){
-  const homeSets = pickNumber(raw.home_sets, raw.homeScore?.current);
-  const awaySets = pickNumber(raw.away_sets, raw.awayScore?.current);
-
-  const sets = [];
-  for (let i=1;i<=5;i++){
-    const hp = pickNumber(raw["home_p"+i], raw.homeScore?.["period"+i]);
-    const ap = pickNumber(raw["away_p"+i], raw.awayScore?.["period"+i]);
-    if (hp != null || ap != null) sets.push({ no:i, home: hp, away: ap });
-  }
-
-  return { homeSets: (homeSets == null ? 0 : homeSets), awaySets: (awaySets == null ? 0 : awaySets), sets };
-}
-function isFinished(raw){
-  const t = String(
-    raw.status_type ??
-    raw.statusType ??
-    raw.status ??
-    raw.status?.type ??
-    raw.status?.description ??
-    ""
-  ).toLowerCase();
-  if (t.includes("finished") || t.includes("ended") || t.includes("complete") || t === "ft") return true;
-  if (raw.winnerCode != null) return true;
-  if (raw.home_sets != null || raw.away_sets != null) return true;
-  if (raw.homeScore?.current != null || raw.awayScore?.current != null) return true;
-  return false;
-}
-
-function normalizeEvent(raw, sofaTeamIdByDbTeamId){
-  const startTs = raw.start_ts ?? raw.startTimestamp ?? null;
-
-  const rawHome = raw.home_team_id ?? raw.homeTeam?.id ?? null;
-  const rawAway = raw.away_team_id ?? raw.awayTeam?.id ?? null;
-
-  function toSofaId(x){
-    if (x == null) return null;
-
-    const n = Number(x);
-
-    // Ser ut som SofaScore-id (typisk store tall)
-    if (Number.isFinite(n) && n > 1000) return n;
-
-    const key = String(x);
-    if (sofaTeamIdByDbTeamId && typeof sofaTeamIdByDbTeamId.get === "function") {
-      if (sofaTeamIdByDbTeamId.has(key)) return sofaTeamIdByDbTeamId.get(key);
-    }
-
-    return Number.isFinite(n) ? n : null;
-  }
-
-  return {
-    raw,
-    startTs,
-    eventId: raw.event_id ?? raw.id ?? null,
-
-    homeId: toSofaId(rawHome),
-    awayId: toSofaId(rawAway),
-
-    homeName: raw.home_team_name ?? raw.homeTeam?.name ?? "Home",
-    awayName: raw.away_team_name ?? raw.awayTeam?.name ?? "Away",
-
-    tournamentId: raw.tournament_id ?? raw.tournament?.id ?? null,
-    tournamentName: raw.tournament_name ?? raw.tournament?.name ?? "",
-    seasonName: raw.season_name ?? raw.season?.name ?? "",
-    groupType: normalizeGroupType(raw.group_type ?? raw.groupType ?? null),
-
-    score: extractScore(raw),
-  };
-}
-
 function compHeaderText(e){
   const t = asStr(e.tournamentName);
   const s = asStr(e.seasonName);
@@ -227,10 +117,12 @@ function MatchCard({
   isFocused,
   onToggleFocus,
   summaryObj, // { status, summary, summary_html, image_url, headline, subheadline, shock } | "__loading__" | null
+  staleSince, // offline: siste ferske data (ms), se offline.js
 }){
   const hs = e.score?.homeSets ?? 0;
   const as = e.score?.awaySets ?? 0;
   const setsArr = safeArray(e.score?.sets);
+  const setNos = Array.from({ length: maxSets(e.format) }, (_, i) => i + 1);
   const tourLogo = tournamentLogoUrl(e.tournamentId);
 
   const hasAnySetPoints = setsArr.length > 0;
@@ -240,6 +132,7 @@ function MatchCard({
 
   const whenTxt = nbDateTime(e.startTs);
   const compTxt = compHeaderText(e);
+  const tableHash = standingsHash(e);
 
   const obj = (summaryObj && typeof summaryObj === "object") ? summaryObj : null;
 
@@ -260,7 +153,7 @@ function MatchCard({
 
   const imageUrlRaw = (!loading && obj) ? nonEmpty(obj.image_url) : null;
   const imageUrl = imageUrlRaw
-    ? (imageUrlRaw.startsWith("http") ? imageUrlRaw : (API_BASE_EVENTS + imageUrlRaw))
+    ? (imageUrlRaw.startsWith("http") ? imageUrlRaw : (apiBase() + imageUrlRaw))
     : null;
 
   const handleClick = () => onToggleFocus();
@@ -277,13 +170,27 @@ function MatchCard({
       <div className="matchHeader">
         <div className="compTitle" title={compTxt}>
           <MiniLogo src={tourLogo} />
-          <span style={{ minWidth:0 }}>{compTxt}</span>
+          {tableHash ? (
+            <a
+              className="compLink"
+              href={tableHash}
+              title="Vis tabell"
+              style={{ minWidth:0 }}
+              onClick={(ev)=>ev.stopPropagation()}
+              onKeyDown={(ev)=>ev.stopPropagation()}
+            >
+              {compTxt}
+            </a>
+          ) : (
+            <span style={{ minWidth:0 }}>{compTxt}</span>
+          )}
         </div>
         <span className="badge">
           <span className="dot gray"></span>
           {statusLabel} · {formatTs(e.startTs)}
         </span>
       </div>
+      <StaleMarker since={staleSince} />
 
       <div className="scoreRow">
         <div className="team">
@@ -305,8 +212,8 @@ function MatchCard({
       {/* Fokus: sett + NYHETSSAK */}
       {isFocused && (
         <>
-          <div className="setline">
-            {[1,2,3,4,5].map(n => {
+          <div className={"setline" + (setNos.length === 3 ? " bestOf3" : "")}>
+            {setNos.map(n => {
               const s = setsArr.find(x => x.no === n);
               return (
                 <div className="setbox" key={n}>
@@ -317,6 +224,16 @@ function MatchCard({
             })}
           </div>
 
+          {statusLabel === "NEXT" && (
+            <HeadToHeadPanel
+              teamA={e.homeId}
+              teamB={e.awayId}
+              nameA={e.homeName}
+              nameB={e.awayName}
+              showCompareLink
+            />
+          )}
+
           <div
             style={{
               marginTop: 12,
@@ -398,20 +315,17 @@ function MatchCard({
                 </span>
               </div>
 
-              {/* Render HTML hvis vi har, ellers tekst */}
+              {/* Vasket HTML hvis vi har, ellers tekst (sanitize.js) */}
               <div style={{ fontSize: 13.5, lineHeight: 1.45, color:"#374151" }}>
                 {loading ? (
                   "Laster kampreferat…"
-                ) : (summaryHtml ? (
-                  <div
-                    className="matchStory"
-                    dangerouslySetInnerHTML={{ __html: summaryHtml }}
-                  />
-                ) : (summaryText ? (
-                  <pre style={{ whiteSpace:"pre-wrap", margin:0, fontFamily:"inherit" }}>{summaryText}</pre>
                 ) : (
-                  "Det finnes ikke kampreferat fra denne kampen"
-                )))}
+                  <MatchStory
+                    html={summaryHtml}
+                    text={summaryText}
+                    empty="Det finnes ikke kampreferat fra denne kampen"
+                  />
+                )}
               </div>
             </div>
           </div>
@@ -436,85 +350,75 @@ function MatchCard({
    App
    =========================== */
 function App(){
-  const [tab, setTab] = useState("players"); // "players" | "teams"
-  const [qTeams, setQTeams] = useState("");
-  const [qPlayers, setQPlayers] = useState("");
-
-  const [teams, setTeams] = useState([]);
-  const [players, setPlayers] = useState([]);
-
-  // Map: DB team.id (string) -> sofascoreTeamId (number)
-  const sofaTeamIdByDbTeamId = useMemo(() => {
-    const m = new Map();
-    for (const t of teams) {
-      if (!t || !t.id) continue;
-      if (t.sofascoreTeamId == null) continue;
-      m.set(String(t.id), t.sofascoreTeamId);
-    }
-    return m;
-  }, [teams]);
-
-  // Map: sofascoreTeamId (number) -> team object
-  const teamBySofaId = useMemo(() => {
-    const m = new Map();
-    for (const t of teams) {
-      if (!t || t.sofascoreTeamId == null) continue;
-      m.set(Number(t.sofascoreTeamId), t);
-    }
-    return m;
-  }, [teams]);
+  // Fane, søk, lagfilter og valgt lag ligger i URL-en (#/hub/...), se router.js
+  const route = useRoute();
+  const hubSegs = route.view === "hub" ? route.segs : [];
+  const hubQuery = route.view === "hub" ? route.query : {};
+  const selectedTeamId = hubSegs[0] === "team" ? (hubSegs[1] || null) : null;
+  const standingsKey = hubSegs[0] === "standings" ? (hubSegs[1] || null) : null;
+  const selectedPlayerId = hubSegs[0] === "player" ? (hubSegs[1] || null) : null;
+  const tab = standingsKey
+    ? "standings"
+    : hubSegs[0] === "compare"
+      ? "compare"
+      : selectedPlayerId
+        ? "player"
+        : ((hubSegs[0] === "teams" || selectedTeamId) ? "teams" : "players"); // "players" | "teams" | "standings" | "compare" | "player"
+  const qTeams = hubSegs[0] === "teams" ? (hubQuery.q || "") : "";
+  // Søk + fasetter i Spillere-fanen (playersearch.js)
+  const playerFilters = useMemo(
+    () => parsePlayerFilters(tab === "players" ? hubQuery : {}),
+    [tab, hubQuery]
+  );
+  const teamFilter = ["abroad", "mizuno"].includes(hubQuery.filter) ? hubQuery.filter : "all";
 
-  const [selectedTeam, setSelectedTeam] = useState(null);
+  const goHub = useCallback((segs, query, opts) => {
+    navigate(buildHash("hub", segs, query), opts);
+  }, []);
+
+  const openTeam = useCallback((t) => {
+    goHub(["team", t.id]);
+  }, [goHub]);
 
-  const [live, setLive] = useState([]);
+  // Lag og spillere (normalisert) fra det felles datalaget, se datastore.js
+  const data = useDataStore();
+  const teams = data.teams;
+  const players = data.players;
+
+  const selectedTeam = useMemo(
+    () => (selectedTeamId ? data.teamsById.get(selectedTeamId) || null : null),
+    [data, selectedTeamId]
+  );
+  const favs = useFavorites();
+  const leader = useTabLeader(); // bare lederfanen poller, se tabsync.js
+  const settings = useSettings();
+
+  const [liveRaw, setLiveRaw] = useState([]);
   const [upcoming, setUpcoming] = useState([]);
   const [finished, setFinished] = useState([]);
 
-  const [liveTeam, setLiveTeam] = useState([]);
   const [nextTeam, setNextTeam] = useState([]);
   const [prevTeam, setPrevTeam] = useState([]);
 
   const [focusedEventKey, setFocusedEventKey] = useState(null);
-  const [teamFilter, setTeamFilter] = useState("all");
 
   // eventId -> { status:"loading"|"done", summary, summary_html, image_url, headline, subheadline, shock, has_rally }
   const [summaryByEvent, setSummaryByEvent] = useState({});
 
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  // Offline: tidspunkt for siste ferske data (se offline.js)
+  const [liveStaleSince, setLiveStaleSince] = useState(null);
+  const [teamStaleSince, setTeamStaleSince] = useState(null);
 
   const pollRef = useRef(null);
-  const abortRef = useRef(null);
-
-  function normalizeTeam(t){
-    return {
-      id: nonEmpty(t.id) ?? (t.id === 0 ? "0" : null),
-      name: asStr(t.name) || "—",
-      country: nonEmpty(t.country),
-      league: nonEmpty(t.league),
-      groupType: normalizeGroupType(t.group_type),
-      sofascoreTeamId: asNum(t.sofascore_team_id),
-      tournamentId: nonEmpty(t.tournament_id),
-      widgetName: nonEmpty(t.widget_name),
-      homepageUrl: nonEmpty(t.homepage_url),
-      streamUrl: nonEmpty(t.stream_url),
-    };
-  }
-  function normalizePlayer(p){
-    return {
-      id: nonEmpty(p.id),
-      name: asStr(p.name) || "—",
-      position: nonEmpty(p.position),
-      jersey: nonEmpty(p.jersey_number),
-      nationality: nonEmpty(p.nationality),
-      externalUrl: nonEmpty(p.external_url),
-      instagram: nonEmpty(p.instagram),
-      heightCm: nonEmpty(p.height_cm),
-      birthYear: nonEmpty(p.birth_year),
-      teamId: nonEmpty(p.team_id),
-      sofascoreTeamId: asNum(p.sofascore_team_id),
-    };
-  }
+  const liveRawRef = useRef([]);
+  const liveFreshAtRef = useRef(null);
+  const teamFreshRef = useRef({ id: null, at: null });
+  const matchesLoadedRef = useRef(false);
+  // Polleren lages bare når lederskap/innstillinger endres; laget i fokus leses herfra
+  const selectedTeamRef = useRef(null);
+  selectedTeamRef.current = selectedTeam;
 
   async function fetchJson(base, path, signal){
     const res = await fetch(base + path, { headers:{ "Accept":"application/json" }, signal, cache:"no-store" });
@@ -550,7 +454,7 @@ function App(){
       const sofaId = selectedTeam?.sofascoreTeamId;
       const qs = (sofaId != null) ? `?sofa_team_id=${encodeURIComponent(sofaId)}` : "";
       const res = await fetch(
-        API_BASE_EVENTS + `/events/${eventId}/summary${qs}`,
+        apiBase() + `/events/${eventId}/summary${qs}`,
         { headers:{ "Accept":"application/json" }, cache:"no-store" }
       );
 
@@ -587,129 +491,164 @@ function App(){
     }
   }
 
-  async function loadCore(){
-    if (abortRef.current) abortRef.current.abort();
-    const controller = new AbortController();
-    abortRef.current = controller;
-    setError("");
+  /* ===========================
+     Live fra den felles live-feeden (strøm, ellers polling)
+     =========================== */
+  function markLiveStale(since){
+    setLiveStaleSince(since);
+    publishTabData("hub-live-stale", since);
+  }
 
-    const [teamsData, playersData] = await Promise.all([
-      fetchJson(API_BASE_TEAMS, "/teams?limit=1000&offset=0", controller.signal),
-      fetchJson(API_BASE_PLAYERS, "/players?limit=1000&offset=0", controller.signal),
-    ]);
+  // Kommandopaletten (palette.js) søker i disse også
+  useEffect(() => { setLiveSnapshot(liveRaw); }, [liveRaw]);
+  useEffect(() => { setSearchEvents([...upcoming, ...finished]); }, [upcoming, finished]);
 
-    const teamsArr = Array.isArray(teamsData) ? teamsData : safeArray(teamsData?.items);
-    const playersArr = Array.isArray(playersData) ? playersData : safeArray(playersData?.items);
+  function applyLiveRows(rows, since){
+    liveRawRef.current = rows;
+    if (!since) liveFreshAtRef.current = Date.now();
+    setLiveRaw(rows);
+    markLiveStale(since || null);
+    publishTabData("hub-live", rows);
+  }
 
-    setTeams(teamsArr.map(normalizeTeam).filter(t => t && t.id));
-    setPlayers(playersArr.map(normalizePlayer).filter(p => p && p.id));
+  async function loadLive(){
+    try{
+      const res = await fetch(apiBase() + "/live", { headers:{ "Accept":"application/json" }, cache:"no-store" });
+      if(!res.ok) throw new Error(String(res.status) + " " + String(res.statusText));
+      applyLiveRows(safeArray(await res.json()), responseStaleSince(res));
+    } catch(e){
+      console.warn("LIVE failed:", e);
+      if (liveFreshAtRef.current && liveRawRef.current.length) markLiveStale(liveFreshAtRef.current);
+      throw e;
+    }
   }
 
   async function loadGlobalMatches(){
     const now = Math.floor(Date.now()/1000);
-    const toNext = now + LOOKAHEAD_DAYS*24*3600;
-    const fromPrev = now - LOOKBACK_DAYS*24*3600;
+    const toNext = now + getSetting("lookaheadDays")*24*3600;
+    const fromPrev = now - getSetting("lookbackDays")*24*3600;
 
-    const [liveRes, nextRes, prevRes] = await Promise.allSettled([
-      fetchJson(API_BASE_EVENTS, "/live", new AbortController().signal),
-      fetchJson(API_BASE_EVENTS, `/events?from_ts=${now}&to_ts=${toNext}&limit=1000&offset=0`, new AbortController().signal),
-      fetchJson(API_BASE_EVENTS, `/events?from_ts=${fromPrev}&to_ts=${now}&limit=1000&offset=0`, new AbortController().signal),
+    const [nextRes, prevRes] = await Promise.allSettled([
+      fetchJson(apiBase(), `/events?from_ts=${now}&to_ts=${toNext}&limit=1000&offset=0`, new AbortController().signal),
+      fetchJson(apiBase(), `/events?from_ts=${fromPrev}&to_ts=${now}&limit=1000&offset=0`, new AbortController().signal),
     ]);
 
-    const liveData = (liveRes.status === "fulfilled") ? liveRes.value : [];
     const nextData = (nextRes.status === "fulfilled") ? nextRes.value : [];
     const prevData = (prevRes.status === "fulfilled") ? prevRes.value : [];
 
-    if (liveRes.status === "rejected") console.warn("LIVE failed:", liveRes.reason);
     if (nextRes.status === "rejected") console.warn("NEXT failed:", nextRes.reason);
     if (prevRes.status === "rejected") console.warn("PREV failed:", prevRes.reason);
 
-    const liveArr = safeArray(liveData).map(r => normalizeEvent(r, sofaTeamIdByDbTeamId));
-    const nextArr = safeArray(nextData).map(r => normalizeEvent(r, sofaTeamIdByDbTeamId)).filter(e => !isFinished(e.raw)).sort((a,b)=>(a.startTs??0)-(b.startTs??0));
-    const prevArr = safeArray(prevData).map(r => normalizeEvent(r, sofaTeamIdByDbTeamId)).filter(e => isFinished(e.raw)).sort((a,b)=>(b.startTs??0)-(a.startTs??0));
+    const allFailed = (nextRes.status==="rejected" && prevRes.status==="rejected");
+    if (allFailed) {
+      // Uten nett: behold det vi har i stedet for å tømme listene
+      if (!matchesLoadedRef.current) setError("Kunne ikke hente live/evt data fra API.");
+      throw nextRes.reason;
+    }
+
+    const nextArr = safeArray(nextData).map(r => normalizeEvent(r)).filter(e => !isFinished(e.raw)).sort((a,b)=>(a.startTs??0)-(b.startTs??0));
+    const prevArr = safeArray(prevData).map(r => normalizeEvent(r)).filter(e => isFinished(e.raw)).sort((a,b)=>(b.startTs??0)-(a.startTs??0));
 
-    setLive(liveArr);
     setUpcoming(nextArr);
     setFinished(prevArr);
-
-    const allFailed = (liveRes.status==="rejected" && nextRes.status==="rejected" && prevRes.status==="rejected");
-    if (allFailed) setError("Kunne ikke hente live/evt data fra API.");
+    publishTabData("hub-matches", { upcoming: nextArr, finished: prevArr });
+    matchesLoadedRef.current = true;
   }
 
   async function loadTeamMatches(team){
     if (!team || team.sofascoreTeamId == null) {
-      setLiveTeam([]); setNextTeam([]); setPrevTeam([]);
+      setNextTeam([]); setPrevTeam([]);
       setFocusedEventKey(null);
       return;
     }
     const teamSofa = Number(team.sofascoreTeamId);
 
     const now = Math.floor(Date.now()/1000);
-    const toNext = now + LOOKAHEAD_DAYS*24*3600;
-    const fromPrev = now - LOOKBACK_DAYS*24*3600;
+    const toNext = now + getSetting("lookaheadDays")*24*3600;
+    const fromPrev = now - getSetting("lookbackDays")*24*3600;
 
     try{
-      const [liveRes, nextRes, prevRes] = await Promise.allSettled([
-        fetchJson(API_BASE_EVENTS, "/live", new AbortController().signal),
-        fetchJson(API_BASE_EVENTS, `/events?from_ts=${now}&to_ts=${toNext}&limit=1000&offset=0`, new AbortController().signal),
-        fetchJson(API_BASE_EVENTS, `/events?from_ts=${fromPrev}&to_ts=${now}&limit=1000&offset=0`, new AbortController().signal),
+      const [nextRes, prevRes] = await Promise.allSettled([
+        fetchJson(apiBase(), `/events?from_ts=${now}&to_ts=${toNext}&limit=1000&offset=0`, new AbortController().signal),
+        fetchJson(apiBase(), `/events?from_ts=${fromPrev}&to_ts=${now}&limit=1000&offset=0`, new AbortController().signal),
       ]);
 
-      const liveData = (liveRes.status === "fulfilled") ? liveRes.value : [];
       const nextData = (nextRes.status === "fulfilled") ? nextRes.value : [];
       const prevData = (prevRes.status === "fulfilled") ? prevRes.value : [];
 
-      if (liveRes.status === "rejected") console.warn("LIVE(team) failed:", liveRes.reason);
       if (nextRes.status === "rejected") console.warn("NEXT(team) failed:", nextRes.reason);
       if (prevRes.status === "rejected") console.warn("PREV(team) failed:", prevRes.reason);
 
-      const liveArr = safeArray(liveData)
-        .map(r => normalizeEvent(r, sofaTeamIdByDbTeamId))
-        .filter(e => e.homeId===teamSofa || e.awayId===teamSofa);
+      if (nextRes.status === "rejected" && prevRes.status === "rejected") {
+        // Uten nett: vis kampene vi allerede har for laget som utdaterte
+        const fresh = teamFreshRef.current;
+        if (fresh.id === team.id && fresh.at) {
+          setTeamStaleSince(fresh.at);
+          return;
+        }
+        throw nextRes.reason;
+      }
 
       const nextArr = safeArray(nextData)
-        .map(r => normalizeEvent(r, sofaTeamIdByDbTeamId))
+        .map(r => normalizeEvent(r))
         .filter(e => (e.homeId===teamSofa || e.awayId===teamSofa) && !isFinished(e.raw))
         .sort((a,b)=>(a.startTs??0)-(b.startTs??0));
 
       const prevArr = safeArray(prevData)
-        .map(r => normalizeEvent(r, sofaTeamIdByDbTeamId))
+        .map(r => normalizeEvent(r))
         .filter(e => (e.homeId===teamSofa || e.awayId===teamSofa) && isFinished(e.raw))
         .sort((a,b)=>(b.startTs??0)-(a.startTs??0));
 
-      setLiveTeam(liveArr);
       setNextTeam(nextArr);
       setPrevTeam(prevArr);
       setFocusedEventKey(null);
+      teamFreshRef.current = { id: team.id, at: Date.now() };
+      setTeamStaleSince(null);
     } catch(e){
       setError(String(e?.message ?? e));
-      setLiveTeam([]); setNextTeam([]); setPrevTeam([]);
+      setNextTeam([]); setPrevTeam([]);
       setFocusedEventKey(null);
     }
   }
 
   useEffect(() => {
+    if (leader === null) return;
+    if (!leader) {
+      // Følgerfane: lederen henter og deler (lag/spillere via datastore.js)
+      if (getDataStore().loadedAt) setLoading(false);
+      const unsubCore = subscribeDataStore(() => setLoading(false));
+      const unsubMatches = subscribeTabData("hub-matches", (d) => {
+        setUpcoming(d.upcoming);
+        setFinished(d.finished);
+      });
+      return () => { unsubCore(); unsubMatches(); };
+    }
+
     let cancelled = false;
     (async () => {
       try{
-        await loadCore();
-        let lastCoreAt = Date.now();
-        await loadGlobalMatches();
+        setError("");
+        await loadDataStore();
+        await loadGlobalMatches().catch(() => {});
         if (cancelled) return;
 
-        pollRef.current = setInterval(async () => {
-          const nowMs = Date.now();
-
-          if (nowMs - lastCoreAt > CORE_REFRESH_MS) {
-            await loadCore();
-            lastCoreAt = nowMs;
-          }
-
-          await loadGlobalMatches();
-          if (selectedTeam) {
-            await loadTeamMatches(selectedTeam);
-          }
-        }, POLL_MS);
+        // Pauser mens Hub-fanen er skjult, backer av ved feil (poller.js)
+        pollRef.current = createAdaptivePoller({
+          baseMs: settings.hubPollMs,
+          idleMs: null,
+          isActive: () => isViewActive("hub-root"),
+          isDemanded: () => hasPeerDemand("hub"),
+          immediate: false,
+          poll: async () => {
+            await loadDataStore();
+            await loadGlobalMatches();
+            const team = selectedTeamRef.current;
+            if (team) {
+              await loadTeamMatches(team);
+            }
+          },
+        });
+        pollRef.current.start();
       } catch(e){
         setError(String(e?.message ?? e));
       } finally {
@@ -719,17 +658,50 @@ function App(){
 
     return () => {
       cancelled = true;
-      if (pollRef.current) clearInterval(pollRef.current);
-      if (abortRef.current) abortRef.current.abort();
+      if (pollRef.current) pollRef.current.stop();
     };
-  }, []);
+  }, [leader, settings.apiBase, settings.hubPollMs, settings.lookaheadDays, settings.lookbackDays]);
+
+  useEffect(() => {
+    if (leader === null) return;
+    if (!leader) {
+      const unsubLive = subscribeTabData("hub-live", setLiveRaw);
+      const unsubStale = subscribeTabData("hub-live-stale", setLiveStaleSince);
+      return () => { unsubLive(); unsubStale(); };
+    }
+
+    const feed = openLiveFeed({
+      url: apiBase() + LIVE_STREAM_PATH,
+      pollMs: settings.hubPollMs,
+      idleMs: null,
+      isActive: () => isViewActive("hub-root"),
+      isDemanded: () => hasPeerDemand("hub"),
+      poll: loadLive,
+      onSnapshot: (rows) => applyLiveRows(rows, null),
+      onDelta: (patches) => applyLiveRows(mergeLiveDelta(liveRawRef.current, patches), null),
+    });
+    return () => feed.close();
+  }, [leader, settings.apiBase, settings.hubPollMs]);
 
   useEffect(() => {
     if (!selectedTeam) return;
+    setTeamStaleSince(null);
     loadTeamMatches(selectedTeam);
     setSummaryByEvent({});
     setFocusedEventKey(null);
-  }, [selectedTeam]);
+    // Nøkkel på id: teams lastes på nytt periodisk og gir nye objekter
+  }, [selectedTeam ? selectedTeam.id : null, settings.apiBase, settings.lookaheadDays, settings.lookbackDays]);
+
+  const live = useMemo(
+    () => liveRaw.map(r => normalizeEvent(r)),
+    [liveRaw, data]
+  );
+
+  const liveTeam = useMemo(() => {
+    if (!selectedTeam || selectedTeam.sofascoreTeamId == null) return [];
+    const teamSofa = Number(selectedTeam.sofascoreTeamId);
+    return live.filter(e => e.homeId===teamSofa || e.awayId===teamSofa);
+  }, [live, selectedTeam]);
 
   /* ===========
      Build "best" tournament/season per team (based on events)
@@ -779,26 +751,26 @@ function App(){
   /* ===========
      Derived lists
      =========== */
-  const filteredTeams = useMemo(() => {
+  // Med søk: rangert etter treff (search.js), ellers alfabetisk per liga
+  const teamSearch = useMemo(() => {
     let base = teams;
     if (teamFilter === "abroad") {
       base = base.filter(t => t.groupType === "abroad");
     } else if (teamFilter === "mizuno") {
       base = base.filter(t => t.groupType === "mizuno");
     }
-    const qq = qTeams.trim().toLowerCase();
-    if (qq){
-      base = base.filter(t =>
-        t.name.toLowerCase().includes(qq) ||
-        String(t.country||"").toLowerCase().includes(qq) ||
-        String(t.league||"").toLowerCase().includes(qq) ||
-        String(t.widgetName||"").toLowerCase().includes(qq)
-      );
+    const highlights = new Map();
+    if (nonEmpty(qTeams)){
+      const hits = searchIndex(base.map(teamSearchEntry), qTeams);
+      base = hits.map(h => h.entry.item);
+      for (const h of hits) highlights.set(h.entry.id, h.ranges);
     }
-    return base;
+    return { teams: base, highlights };
   }, [teams, teamFilter, qTeams]);
+  const filteredTeams = teamSearch.teams;
 
   const leagueGroups = useMemo(() => {
+    const ranked = nonEmpty(qTeams) != null;
     const groups = new Map();
     for (const t of filteredTeams) {
       const key = t.league || "Uten liga";
@@ -807,25 +779,60 @@ function App(){
     }
     const result = [];
     for (const [league, arr] of groups.entries()) {
-      arr.sort((a,b)=>a.name.localeCompare(b.name, "nb"));
+      if (!ranked) arr.sort((a,b)=>a.name.localeCompare(b.name, "nb"));
       result.push({ league, teams: arr });
     }
-    result.sort((a,b)=>a.league.localeCompare(b.league, "nb"));
+    // Rangert: ligaen med beste treff først (Map beholder rekkefølgen)
+    if (!ranked) result.sort((a,b)=>a.league.localeCompare(b.league, "nb"));
     return result;
-  }, [filteredTeams]);
-
-  const visiblePlayers = useMemo(() => {
-    let base = players;
-    const qq = qPlayers.trim().toLowerCase();
-    if (qq){
-      base = base.filter(p =>
-        p.name.toLowerCase().includes(qq) ||
-        String(p.nationality||"").toLowerCase().includes(qq) ||
-        String(p.teamId||"").toLowerCase().includes(qq)
-      );
-    }
-    return [...base].sort((a,b)=>a.name.localeCompare(b.name,"nb"));
-  }, [players, qPlayers]);
+  }, [filteredTeams, qTeams]);
+
+  const playerSearch = useMemo(
+    () => searchPlayers(players, playerFilters),
+    [players, teams, playerFilters]
+  );
+  const visiblePlayers = playerSearch.players;
+
+  const setPlayerFilters = useCallback((f) => {
+    goHub(["players"], playerFiltersToQuery(f), { replace: true });
+  }, [goHub]);
+
+  const favoriteTeams = useMemo(
+    () => teams.filter(t => isFavoriteTeam(favs, t.sofascoreTeamId)).sort((a,b)=>a.name.localeCompare(b.name,"nb")),
+    [teams, favs]
+  );
+  const favoritePlayers = useMemo(
+    () => players.filter(p => isFavoritePlayer(favs, p.id)).sort((a,b)=>a.name.localeCompare(b.name,"nb")),
+    [players, favs]
+  );
+
+  // Kalendereksport (ics.js): pågående + kommende kamper
+  const favoriteEvents = useMemo(() => {
+    const ids = favoriteTeamIdSet(favs, players);
+    return [...live, ...upcoming].filter(e => ids.has(String(e.homeId)) || ids.has(String(e.awayId)));
+  }, [live, upcoming, favs, players]);
+
+  const abroadEvents = useMemo(
+    () => [...live, ...upcoming].filter(e =>
+      e.groupType === "abroad" ||
+      teamBySofaId(e.homeId)?.groupType === "abroad" ||
+      teamBySofaId(e.awayId)?.groupType === "abroad"
+    ),
+    [live, upcoming, teams]
+  );
+
+  const selectedPlayer = selectedPlayerId ? (data.playersById.get(selectedPlayerId) || null) : null;
+
+  // Spillerprofil: lagets kamper fra de globale listene
+  const selectedPlayerMatches = useMemo(() => {
+    const sofaId = selectedPlayer ? teamById(selectedPlayer.teamId)?.sofascoreTeamId : null;
+    if (sofaId == null) return { recent: [], next: [] };
+    const plays = (e) => e.homeId === sofaId || e.awayId === sofaId;
+    return {
+      recent: finished.filter(plays).sort((a, b) => (b.startTs ?? 0) - (a.startTs ?? 0)).slice(0, 10),
+      next: [...live, ...upcoming].filter(plays).sort((a, b) => (a.startTs ?? 0) - (b.startTs ?? 0)).slice(0, 10),
+    };
+  }, [selectedPlayer, finished, live, upcoming, teams]);
 
   const selectedTeamPlayers = useMemo(() => {
     if (!selectedTeam || !selectedTeam.id) return [];
@@ -837,26 +844,46 @@ function App(){
     return teamEventMeta.get(selectedTeam.sofascoreTeamId) || null;
   }, [selectedTeam, teamEventMeta]);
 
+  // Én tabell-lenke per turnering + sesong laget spiller i
+  const selectedTables = useMemo(() => {
+    if (!selectedTeam) return [];
+    // Live-kamper mangler ofte tournament_id; da brukes navnet, men id vinner
+    const byLabel = new Map();
+    for (const e of [...liveTeam, ...nextTeam, ...prevTeam]) {
+      const hash = standingsHash(e, selectedTeam.sofascoreTeamId);
+      const label = compHeaderText(e);
+      if (!hash || (byLabel.has(label) && (byLabel.get(label).hasId || e.tournamentId == null))) continue;
+      byLabel.set(label, { hash, label, hasId: e.tournamentId != null });
+    }
+    return [...byLabel.values()];
+  }, [selectedTeam, liveTeam, nextTeam, prevTeam]);
+
+  // Laget man kom fra (team=<SofaScore-id>) for tilbake-knappen i tabellen
+  const standingsFromTeam = standingsKey ? teamBySofaId(hubQuery.team) : null;
+  // Kampene Hub allerede har, vises mens hele sesongen hentes
+  const knownFinished = useMemo(() => [...finished, ...prevTeam], [finished, prevTeam]);
+
   /* ===========================
      UI subcomponents
      =========================== */
-  function TeamCard({ t }){
+  function TeamCard({ t, hl }){
     const meta = (t.sofascoreTeamId != null) ? teamEventMeta.get(t.sofascoreTeamId) : null;
 
+    // hl: søketreff per felt (search.js)
     const line2 = [
-      meta?.tournamentName,
-      meta?.seasonName,
-      t.league,
-      t.country,
-      t.widgetName ? ("Widget: " + t.widgetName) : null,
-    ].filter(Boolean).join(" · ");
+      { text: meta?.tournamentName },
+      { text: meta?.seasonName },
+      { text: t.league, ranges: hl?.league },
+      { text: t.country, ranges: hl?.country },
+      { text: t.widgetName, ranges: hl?.widget, prefix: "Widget: " },
+    ];
+    const hasLine2 = line2.some(p => nonEmpty(p.text));
 
     return (
       <div
         className="card"
         onClick={() => {
-          setSelectedTeam(t);
-          setTab("teams");
+          openTeam(t);
           setFocusedEventKey(null);
         }}
         style={{ cursor:"pointer" }}
@@ -865,48 +892,52 @@ function App(){
           <div className="left">
             <LogoBox src={teamLogoUrl(t.sofascoreTeamId)} label={initials(t.name)} />
             <div className="nameBlock">
-              <div className="name">{t.name}</div>
-              <div className="sub">{line2 || "—"}</div>
+              <div className="name"><Highlight text={t.name} ranges={hl?.name} /></div>
+              <div className="sub">{hasLine2 ? <HighlightJoin parts={line2} /> : "—"}</div>
             </div>
           </div>
           <div className="meta">
             {t.groupType && <span className="pill">{t.groupType}</span>}
             {t.sofascoreTeamId != null && <span className="pill">SofaTeam: {t.sofascoreTeamId}</span>}
+            {t.sofascoreTeamId != null && (
+              <StarButton
+                active={isFavoriteTeam(favs, t.sofascoreTeamId)}
+                onToggle={() => toggleFavoriteTeam(t.sofascoreTeamId)}
+                label={t.name}
+              />
+            )}
           </div>
         </div>
       </div>
     );
   }
 
-  function PlayerCardLarge({ p }){
+  function PlayerCardLarge({ p, hl }){
     const photo = playerPhotoUrl(p.id);
     const status = useImageStatus(photo);
-    const ig = nonEmpty(p.instagram);
-    const igHandle = ig ? (ig.startsWith("@") ? ig.slice(1) : ig) : null;
-    const igUrl = igHandle ? ("https://instagram.com/" + igHandle) : null;
+    const igUrl = instagramUrl(p.instagram);
 
+    // hl: søketreff per felt (search.js)
     const line2 = [
-      p.position,
-      p.jersey ? ("#" + p.jersey) : null,
-      p.nationality,
-      p.heightCm ? (p.heightCm + " cm") : null,
-      p.birthYear ? ("Født " + p.birthYear) : null
-    ].filter(Boolean).join(" · ");
+      { text: p.position },
+      { text: p.jersey, prefix: "#" },
+      { text: p.nationality, ranges: hl?.nationality },
+      { text: p.heightCm ? (p.heightCm + " cm") : null },
+      { text: p.birthYear, prefix: "Født " },
+    ];
+    const hasLine2 = line2.some(x => nonEmpty(x.text));
 
-    const playerTeam = p.teamId ? teams.find(t => t.id === p.teamId) : null;
+    const playerTeam = p.teamId ? teamById(p.teamId) : null;
 
     const handleClick = () => {
-      if (playerTeam) {
-        setSelectedTeam(playerTeam);
-        setTab("teams");
-        setFocusedEventKey(null);
-      }
+      goHub(["player", p.id]);
+      setFocusedEventKey(null);
     };
 
     return (
       <div
         className="card playerCard"
-        style={{ cursor: playerTeam ? "pointer" : "default" }}
+        style={{ cursor: "pointer" }}
         onClick={handleClick}
       >
         <div className="playerCardInner" style={{ display:"flex", flexWrap:"wrap", gap:12 }}>
@@ -954,8 +985,8 @@ function App(){
             }}
           >
             <div className="nameBlock">
-              <div className="name">{p.name}</div>
-              <div className="sub">{line2 || "—"}</div>
+              <div className="name"><Highlight text={p.name} ranges={hl?.name} /></div>
+              <div className="sub">{hasLine2 ? <HighlightJoin parts={line2} /> : "—"}</div>
 
               {playerTeam && (
                 <div
@@ -970,14 +1001,21 @@ function App(){
                 >
                   <MiniLogo src={teamLogoUrl(playerTeam.sofascoreTeamId)} />
                   <span>
-                    {playerTeam.name}
-                    {playerTeam.league ? (" · " + playerTeam.league) : ""}
+                    <HighlightJoin parts={[
+                      { text: playerTeam.name, ranges: hl?.team },
+                      { text: playerTeam.league, ranges: hl?.league },
+                    ]} />
                   </span>
                 </div>
               )}
             </div>
 
             <div className="meta" style={{ marginTop:"auto", justifyContent:"flex-start" }}>
+              <StarButton
+                active={isFavoritePlayer(favs, p.id)}
+                onToggle={() => toggleFavoritePlayer(p.id)}
+                label={p.name}
+              />
               {p.externalUrl && (
                 <a className="btn" href={p.externalUrl} target="_blank" rel="noreferrer">
                   Volleybox →
@@ -1003,38 +1041,57 @@ function App(){
       <div className="nav" style={{ justifyContent:"space-between", alignItems:"center" }}>
         <div style={{ display:"flex", gap:8, flexWrap:"wrap", alignItems:"center" }}>
           <button
-            className={"btn " + (tab==="players" ? "primary" : "")}
-            onClick={() => { setTab("players"); setSelectedTeam(null); setFocusedEventKey(null); }}
+            className={"btn " + (tab==="players" || tab==="player" ? "primary" : "")}
+            onClick={() => { goHub(["players"]); setFocusedEventKey(null); }}
           >
             Spillere
           </button>
           <button
             className={"btn " + (tab==="teams" ? "primary" : "")}
-            onClick={() => { setTab("teams"); setSelectedTeam(null); setFocusedEventKey(null); }}
+            onClick={() => { goHub(["teams"]); setFocusedEventKey(null); }}
           >
             Lag
           </button>
+          <button
+            className={"btn " + (tab==="compare" ? "primary" : "")}
+            onClick={() => { goHub(["compare"]); setFocusedEventKey(null); }}
+          >
+            Sammenlign
+          </button>
 
           {selectedTeam && tab==="teams" && (
-            <button className="btn" onClick={() => { setSelectedTeam(null); setFocusedEventKey(null); }}>
+            <button className="btn" onClick={() => { goHub(["teams"]); setFocusedEventKey(null); }}>
               ← Tilbake
             </button>
           )}
+          {tab==="player" && (
+            <button className="btn" onClick={() => goHub(["players"])}>
+              ← Tilbake
+            </button>
+          )}
+          {tab==="standings" && (
+            <button
+              className="btn"
+              onClick={() => goHub(standingsFromTeam ? ["team", standingsFromTeam.id] : ["teams"])}
+            >
+              ← {standingsFromTeam ? standingsFromTeam.name : "Tilbake"}
+            </button>
+          )}
         </div>
 
         <div style={{ display:"flex", gap:8, flexWrap:"wrap" }}>
           {tab === "teams" && (
             <input
               value={qTeams}
-              onChange={(e)=>setQTeams(e.target.value)}
+              onChange={(e)=>goHub(["teams"], { q: e.target.value, filter: teamFilter === "all" ? null : teamFilter }, { replace: true })}
               placeholder="Søk lag eller liga…"
               style={{ minWidth:200 }}
             />
           )}
           {tab === "players" && (
             <input
-              value={qPlayers}
-              onChange={(e)=>setQPlayers(e.target.value)}
+              value={playerFilters.q}
+              onChange={(e)=>setPlayerFilters({ ...playerFilters, q: e.target.value })}
               placeholder="Søk spiller…"
               style={{ minWidth:200 }}
             />
@@ -1045,6 +1102,20 @@ function App(){
       {error && <div className="alert">Feil: {error}</div>}
       {loading && <div style={{ marginTop: 10, color: "#6b7280" }}>Laster…</div>}
 
+      {/* FAVORITTER */}
+      {(tab === "teams" || tab === "players") && !selectedTeam && (favoriteTeams.length > 0 || favoritePlayers.length > 0) && (
+        <div className="favoritesSection">
+          <div className="leagueHeader" style={{ display:"flex", justifyContent:"space-between", alignItems:"center", gap:8 }}>
+            <span>★ Mine favoritter</span>
+            <IcsButton calName="Mine favoritter" events={favoriteEvents} />
+          </div>
+          <div className="grid" style={{ marginTop: 6 }}>
+            {favoriteTeams.map(t => <TeamCard key={"fav-t-" + t.id} t={t} />)}
+            {favoritePlayers.map(p => <PlayerCardLarge key={"fav-p-" + p.id} p={p} />)}
+          </div>
+        </div>
+      )}
+
       {/* HUB-filtere */}
       {tab === "teams" && !selectedTeam && (
         <div className="focusBar" style={{ marginTop: 4, marginBottom: 4 }}>
@@ -1056,7 +1127,7 @@ function App(){
                 color:      teamFilter==="abroad" ? "#ffffff" : "#111827",
                 borderColor:teamFilter==="abroad" ? "#111827" : "var(--border)",
               }}
-              onClick={() => setTeamFilter("abroad")}
+              onClick={() => goHub(["teams"], { q: qTeams, filter: "abroad" })}
             >
               Norske spillere ute
             </button>
@@ -1067,7 +1138,7 @@ function App(){
                 color:      teamFilter==="mizuno" ? "#ffffff" : "#111827",
                 borderColor:teamFilter==="mizuno" ? "#111827" : "var(--border)",
               }}
-              onClick={() => setTeamFilter("mizuno")}
+              onClick={() => goHub(["teams"], { q: qTeams, filter: "mizuno" })}
             >
               Norge Mizuno
             </button>
@@ -1078,10 +1149,11 @@ function App(){
                 color:      teamFilter==="all" ? "#ffffff" : "#111827",
                 borderColor:teamFilter==="all" ? "#111827" : "var(--border)",
               }}
-              onClick={() => setTeamFilter("all")}
+              onClick={() => goHub(["teams"], { q: qTeams, filter: null })}
             >
               Alle
             </button>
+            <IcsButton calName="Norske spillere i utlandet" events={abroadEvents} label="Norske ute" />
           </div>
         </div>
       )}
@@ -1103,7 +1175,7 @@ function App(){
               >
                 {group.league}
               </div>
-              {group.teams.map(t => <TeamCard key={t.id} t={t} />)}
+              {group.teams.map(t => <TeamCard key={t.id} t={t} hl={teamSearch.highlights.get(t.id)} />)}
             </div>
           ))}
         </div>
@@ -1132,24 +1204,48 @@ function App(){
               <div className="meta">
                 {selectedTeam.groupType && <span className="pill">{selectedTeam.groupType}</span>}
                 {selectedTeam.sofascoreTeamId != null && <span className="pill">SofaTeam: {selectedTeam.sofascoreTeamId}</span>}
+                {selectedTeam.sofascoreTeamId != null && (
+                  <StarButton
+                    active={isFavoriteTeam(favs, selectedTeam.sofascoreTeamId)}
+                    onToggle={() => toggleFavoriteTeam(selectedTeam.sofascoreTeamId)}
+                    label={selectedTeam.name}
+                  />
+                )}
                 {selectedTeam.homepageUrl && (
                   <a className="btn" href={selectedTeam.homepageUrl} target="_blank" rel="noreferrer">Nettside →</a>
                 )}
                 {selectedTeam.streamUrl && (
                   <a className="btn" href={selectedTeam.streamUrl} target="_blank" rel="noreferrer">Stream →</a>
                 )}
+                <IcsButton calName={selectedTeam.name} events={[...liveTeam, ...nextTeam]} />
               </div>
             </div>
+            {selectedTables.length > 0 && (
+              <div className="standingsLinks">
+                {selectedTables.map(t => (
+                  <a key={t.hash} className="btn" href={t.hash}>📊 Tabell: {t.label}</a>
+                ))}
+              </div>
+            )}
           </div>
 
+          {/* Form (venter på kampene, de gir sesongen) */}
+          {!loading && selectedTeam.sofascoreTeamId != null && (
+            <TeamFormPanel
+              teamSofaId={selectedTeam.sofascoreTeamId}
+              seasonName={selectedMeta?.seasonName}
+              events={prevTeam}
+            />
+          )}
+
           {/* Spillere */}
           {selectedTeamPlayers.length > 0 && (
             <div className="grid">
               {selectedTeamPlayers
-                .filter(p => asStr(p.nationality).toLowerCase().includes("nor"))
+                .filter(p => isNorwegianPlayer(p))
                 .map(p => <PlayerCardLarge key={p.id} p={p} />)}
               {selectedTeamPlayers
-                .filter(p => !asStr(p.nationality).toLowerCase().includes("nor"))
+                .filter(p => !isNorwegianPlayer(p))
                 .map(p => <PlayerCardLarge key={p.id} p={p} />)}
             </div>
           )}
@@ -1163,6 +1259,7 @@ function App(){
                   key={k}
                   e={e}
                   statusLabel="LIVE"
+                  staleSince={liveStaleSince}
                   isFocused={focusedEventKey === k}
                   summaryObj={e.eventId ? (summaryByEvent[e.eventId] ?? null) : null}
                   onToggleFocus={() => {
@@ -1182,6 +1279,7 @@ function App(){
                   key={k}
                   e={e}
                   statusLabel="NEXT"
+                  staleSince={teamStaleSince}
                   isFocused={focusedEventKey === k}
                   summaryObj={e.eventId ? (summaryByEvent[e.eventId] ?? null) : null}
                   onToggleFocus={() => {
@@ -1201,6 +1299,7 @@ function App(){
                   key={k}
                   e={e}
                   statusLabel="FINISHED"
+                  staleSince={teamStaleSince}
                   isFocused={focusedEventKey === k}
                   summaryObj={e.eventId ? (summaryByEvent[e.eventId] ?? null) : null}
                   onToggleFocus={() => {
@@ -1217,14 +1316,57 @@ function App(){
         </>
       )}
 
+      {/* TABELL */}
+      {tab === "standings" && (
+        <StandingsView
+          tournamentKey={standingsKey}
+          season={hubQuery.season || null}
+          highlightTeamId={hubQuery.team || null}
+          events={knownFinished}
+        />
+      )}
+
+      {/* SPILLERPROFIL */}
+      {tab === "player" && (
+        selectedPlayer ? (
+          <PlayerProfile
+            player={selectedPlayer}
+            recent={selectedPlayerMatches.recent}
+            next={selectedPlayerMatches.next}
+            onOpenTeam={(t) => openTeam(t)}
+          />
+        ) : (!loading && <div className="alert">Fant ikke spilleren.</div>)
+      )}
+
+      {/* SAMMENLIGN */}
+      {tab === "compare" && (
+        <CompareView
+          teamA={hubQuery.a || null}
+          teamB={hubQuery.b || null}
+          teams={teams}
+          onChange={(q) => goHub(["compare"], q, { replace: true })}
+        />
+      )}
+
       {/* PLAYERS TAB */}
       {tab === "players" && (
-        <div className="grid">
-          {visiblePlayers.map(p => <PlayerCardLarge key={p.id} p={p} />)}
-        </div>
+        <>
+          <PlayerFacets
+            filters={playerFilters}
+            counts={playerSearch.counts}
+            total={visiblePlayers.length}
+            onChange={setPlayerFilters}
+          />
+          <div className="grid">
+            {visiblePlayers.map(p => <PlayerCardLarge key={p.id} p={p} hl={playerSearch.highlights.get(p.id)} />)}
+          </div>
+        </>
       )}
     </div>
   );
 }
 
-ReactDOM.createRoot(document.getElementById("hub-root")).render(<App />);
+// Overlay-modus (?overlay=<eventId>) tegnes bare av overlay.js
+if (!document.body.classList.contains("overlayMode")) {
+  ReactDOM.createRoot(document.getElementById("hub-root")).render(<App />);
+}
@@ -0,0 +1,135 @@
+/* ===========================
+   Kalendereksport (.ics)
+   ===========================
+   Kommende kamper som iCalendar-fil (RFC 5545) for ett lag, favorittene
+   eller alle kamper med norske spillere i utlandet. Beskrivelsen har
+   turnering/sesong (compHeaderText) og lagenes stream-lenker.
+
+   Filen er en engangseksport, ikke et abonnement: kalenderen henter den
+   aldri selv, så den har ingen oppdateringsintervall. UID er kamp-id-en,
+   så importeres en ny fil etter at terminlisten er endret, oppdaterer
+   kalenderen kampene i stedet for å lage kopier.
+   DTSTAMP er tidspunktet filen ble laget (RFC 5545).
+*/
+
+const ICS_MATCH_MINUTES = 120;
+const ICS_UID_DOMAIN = "volley-hub";
+
+function icsEscape(s) {
+  return asStr(s)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n?|\n/g, "\\n");
+}
+
+// Linjer over 75 byte brytes med CRLF + mellomrom (tegn deles ikke)
+function icsFold(line) {
+  const enc = new TextEncoder();
+  const out = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (bytes + n > 75) {
+      out.push(cur);
+      cur = " ";
+      bytes = 1;
+    }
+    cur += ch;
+    bytes += n;
+  }
+  out.push(cur);
+  return out.join("\r\n");
+}
+
+function icsDate(tsSeconds) {
+  return new Date(tsSeconds * 1000).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function icsStreamUrls(e) {
+  const urls = [e.homeId, e.awayId]
+    .map(id => teamBySofaId(id)?.streamUrl)
+    .filter(Boolean);
+  return [...new Set(urls)];
+}
+
+function icsEvent(e, stamp) {
+  const streams = icsStreamUrls(e);
+  const description = [
+    compHeaderText(e),
+    ...streams.map(url => "Stream: " + url),
+  ].join("\n");
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${e.eventId ?? `${e.homeId}-${e.awayId}-${e.startTs}`}@${ICS_UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${icsDate(e.startTs)}`,
+    `DTEND:${icsDate(e.startTs + ICS_MATCH_MINUTES * 60)}`,
+    `SUMMARY:${icsEscape(`${e.homeName} – ${e.awayName}`)}`,
+    `DESCRIPTION:${icsEscape(description)}`,
+  ];
+  if (streams.length) lines.push(`URL:${streams[0]}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/* Kamper uten starttid hoppes over; samme kamp tas med én gang. nowMs: DTSTAMP (standard nå). */
+function buildIcsCalendar(calName, events, nowMs) {
+  const stamp = icsDate(Math.floor((nowMs ?? Date.now()) / 1000));
+  const byId = new Map();
+  for (const e of safeArray(events)) {
+    if (!e || !e.startTs) continue;
+    byId.set(e.eventId ?? `${e.homeId}|${e.awayId}|${e.startTs}`, e);
+  }
+  const sorted = [...byId.values()].sort((a, b) =>
+    (a.startTs - b.startTs) || String(a.eventId ?? "").localeCompare(String(b.eventId ?? ""))
+  );
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Volley Hub//Kamper//NO",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsEscape(calName)}`,
+    ...sorted.flatMap(e => icsEvent(e, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+
+function icsFileName(calName) {
+  const slug = foldText(calName)
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `volley-${slug || "kamper"}.ics`;
+}
+
+function downloadIcs(calName, events) {
+  const blob = new Blob([buildIcsCalendar(calName, events)], { type: "text/calendar;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = icsFileName(calName);
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function IcsButton({ calName, events, label }) {
+  const count = safeArray(events).filter(e => e && e.startTs).length;
+  return (
+    <button
+      type="button"
+      className="btn"
+      disabled={count === 0}
+      title={count ? `${count} kommende kamper som .ics (last ned på nytt for å oppdatere)` : "Ingen kommende kamper"}
+      onClick={(ev) => { ev.stopPropagation(); downloadIcs(calName, events); }}
+    >
+      📅 {label || "Kalender"}
+    </button>
+  );
+}
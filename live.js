@@ -1,19 +1,14 @@
 const { useCallback, useEffect, useMemo, useRef, useState, memo } = React;
 
-const API_BASE = "https://volleyball.ronesse.no";
-const POLL_MS = 5000;
+// API-host og vanlig pollingintervall ligger i innstillingene (config.js)
+// Egne navn: scriptene deler globalt scope
+const LIVE_POLL_FAST_MS = 2000;    // kamp i fokus med sett-/matchball
+const LIVE_POLL_IDLE_MS = 60000;   // skjult side / Hub-fanen: sakte, så varsler fortsatt kommer
 
 /* ===========================
    Generelle helpers
    =========================== */
-function safeArray(x) { return Array.isArray(x) ? x : []; }
-function asStr(v){ return (v == null) ? "" : String(v).trim(); }
-function nonEmpty(v){ const s = asStr(v); return s ? s : null; }
-function asNum(v){
-  if (v == null || v === "") return null;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : null;
-}
+// safeArray, asStr, nonEmpty, asNum: datastore.js
 function initials(name){
   const s = asStr(name);
   if (!s) return "—";
@@ -56,7 +51,7 @@ function currentPoints(ev) {
   if (m) setNo = Number(m[1]);
 
   if (!setNo) {
-    for (let i = 5; i >= 1; i--) {
+    for (let i = maxSets(detectScoringFormat(ev)); i >= 1; i--) {
       if (ev["home_p" + i] != null || ev["away_p" + i] != null) { setNo = i; break; }
     }
   }
@@ -73,6 +68,7 @@ function currentPoints(ev) {
    =========================== */
 
 const FILTERS = [
+  { key: "mine",   label: "★ Mine", empty: "Ingen av favorittene dine spiller nå. Stjernemerk lag og spillere i Volley Hub." },
   { key: "mizuno", label: "Mizuno Norge", empty: "Det er ingen pågående kamper for lag fra Norge nå." },
   { key: "abroad", label: "Norske spillere i utlandet", empty: "Det er ingen norske spillere i utlandet i aksjon nå." },
   { key: "other",  label: "Andre", empty: "Det er ingen andre livekamper for øyeblikket." },
@@ -134,13 +130,13 @@ function LogoBox(props) {
 function teamLogoUrl(sofaTeamId) {
   const id = nonEmpty(sofaTeamId);
   if (!id) return null;
-  return API_BASE + "/img/teams/" + id + ".png";
+  return apiBase() + "/img/teams/" + id + ".png";
 }
 
 function playerPhotoUrl(playerId) {
   const id = nonEmpty(playerId);
   if (!id) return null;
-  return API_BASE + "/img/players/" + id + ".jpg";
+  return apiBase() + "/img/players/" + id + ".jpg";
 }
 
 /* ===========================
@@ -153,42 +149,89 @@ const SetBox = memo(function SetBox(props) {
     <div className="setbox" style={style}>
       <div className="label">{props.label}</div>
       <div className="val">{props.home ?? "—"} - {props.away ?? "—"}</div>
+      {props.badge && (
+        <div className={"stateBadge small " + props.badge.key}>{props.badge.text}</div>
+      )}
     </div>
   );
 });
 
+/* ===========================
+   Sett-situasjon (settball, matchball, ...)
+   =========================== */
+
+function SituationBadge({ badge, ev }) {
+  const teamName = badge.side === "home" ? ev.home_team_name : (badge.side === "away" ? ev.away_team_name : null);
+  return (
+    <span className={"stateBadge " + badge.key} title={teamName ? badge.text + " · " + teamName : badge.text}>
+      {badge.side === "home" && "◀ "}
+      {badge.text}
+      {badge.side === "away" && " ▶"}
+    </span>
+  );
+}
+
 /* ===========================
    Serve-icon
    =========================== */
+/*
+  Styres av flagget serveRunLevels (flags.js):
+  - av:  🔥 og blink (hotGlow) fra run 2; highlight blinker ikonet ved nytt poeng
+  - på:  run 1 kun ball · 2 ball + flamme · 3 + blink · 4+ + 🎉
+*/
+
+function ServeIcon({ side, run, highlight }) {
+  const { serveRunLevels } = useFeatureFlags();
+  const level = Number(run || 0);
+  const hasFlame = level >= 2;
+  const isHot = serveRunLevels ? level >= 3 : level >= 2;
+  const hasParty = serveRunLevels && level >= 4;
 
-function ServeIcon({ side, hot, highlight }) {
   const className =
     "serveIcon " +
     (side === "home" ? "home" : "away") +
-    (hot ? " hot" : "") +
-    (highlight ? " blinkScore" : "");
+    (isHot ? " hot" : "") +
+    (highlight && !serveRunLevels ? " blinkScore" : "");
+
+  let title = "Server";
+  if (!serveRunLevels) {
+    if (hasFlame) title = "Break-point (poeng på egen serve)";
+  } else if (level === 1) title = "Side-out (ny serve)";
+  else if (level === 2) title = "Break-point";
+  else if (level === 3) title = "Dbl break-ball";
+  else if (level >= 4) title = "Party-run";
 
   const isHome = side === "home";
 
   return (
     <span
       className={className}
-      title={
-        hot
-          ? "Break-point (poeng på egen serve)"
-          : "Server"
-      }
+      title={title}
       aria-hidden="true"
     >
       <span className="serveIconInner">
-        {hot && isHome && <span>🔥</span>}
+        {isHome && hasFlame && <span>🔥</span>}
         <span>🏐</span>
-        {hot && !isHome && <span>🔥</span>}
+        {!isHome && hasFlame && <span>🔥</span>}
+        {hasParty && <span>🎉</span>}
       </span>
     </span>
   );
 }
 
+/*
+  Etikett for siste poeng ut fra serve-run: "side-out" | "break-point" |
+  "dbl-break-ball" | "party" (party vises kun som ikoner). Uten
+  serveRunLevels er alt fra run 2 "break-point".
+*/
+function servePlayLabelType(run, serveRunLevels) {
+  const level = Number(run || 0);
+  if (level <= 0) return null;
+  if (level === 1) return "side-out";
+  if (!serveRunLevels || level === 2) return "break-point";
+  return level === 3 ? "dbl-break-ball" : "party";
+}
+
 /* ===========================
    ID helpers
    =========================== */
@@ -200,7 +243,8 @@ function eventId(ev) {
   return ev.event_id ?? ev.custom_id ?? null;
 }
 
-function eventKey(ev) {
+// Rå /live-rader. Eget navn: hub.js har en global eventKey for normaliserte events.
+function liveEventKey(ev) {
   const id = eventId(ev);
   if (id != null) return String(id);
   return (
@@ -278,236 +322,8 @@ function getTournamentAndSeason(ev) {
 }
 
 /* ===========================
-   Land + flagg
+   Land (se countries.js)
    =========================== */
-
-const COUNTRY_ALIASES = {
-  // Europa
-  "norway": "NO", "norge": "NO",
-  "sweden": "SE", "sverige": "SE",
-  "denmark": "DK", "danmark": "DK",
-  "finland": "FI",
-  "iceland": "IS", "island": "IS",
-  "germany": "DE", "tyskland": "DE",
-  "france": "FR", "frankrike": "FR",
-  "italy": "IT", "italia": "IT",
-  "spain": "ES", "spania": "ES",
-  "portugal": "PT",
-  "netherlands": "NL", "nederland": "NL",
-  "belgium": "BE", "belgia": "BE",
-  "switzerland": "CH", "sveits": "CH",
-  "austria": "AT", "østerrike": "AT", "oesterreich": "AT",
-  "poland": "PL", "polen": "PL",
-  "czechia": "CZ", "czech republic": "CZ",
-  "slovakia": "SK",
-  "hungary": "HU", "ungarn": "HU",
-  "romania": "RO",
-  "bulgaria": "BG",
-  "slovenia": "SI",
-  "croatia": "HR",
-  "serbia": "RS",
-  "bosnia": "BA", "bosnia and herzegovina": "BA",
-  "montenegro": "ME",
-  "north macedonia": "MK", "macedonia": "MK",
-  "albania": "AL",
-  "greece": "GR",
-  "turkey": "TR", "tyrkia": "TR",
-  "ukraine": "UA",
-  "belarus": "BY",
-  "moldova": "MD",
-  "latvia": "LV",
-  "lithuania": "LT", "litauen": "LT",
-  "estonia": "EE", "estland": "EE",
-  "ireland": "IE",
-  "scotland": "GB",
-  "england": "GB",
-  "wales": "GB",
-  "kosovo": "XK",
-  "andorra": "AD",
-  "monaco": "MC",
-  "liechtenstein": "LI",
-  "luxembourg": "LU",
-  "san marino": "SM",
-  "malta": "MT",
-  "cyprus": "CY",
-
-  // Sør-Amerika
-  "brazil": "BR", "brasil": "BR",
-  "argentina": "AR",
-  "chile": "CL",
-  "uruguay": "UY",
-  "paraguay": "PY",
-  "bolivia": "BO",
-  "peru": "PE",
-  "ecuador": "EC",
-  "colombia": "CO",
-  "venezuela": "VE",
-  "suriname": "SR",
-  "guyana": "GY",
-
-  // Afrika
-  "south africa": "ZA",
-  "egypt": "EG",
-  "tunisia": "TN",
-  "morocco": "MA", "marokko": "MA",
-  "algeria": "DZ",
-  "nigeria": "NG",
-  "ghana": "GH",
-  "senegal": "SN",
-  "ivory coast": "CI", "cote d'ivoire": "CI",
-  "cameroon": "CM",
-  "kenya": "KE",
-  "uganda": "UG",
-  "tanzania": "TZ",
-  "ethiopia": "ET",
-  "angola": "AO",
-  "zambia": "ZM",
-  "zimbabwe": "ZW",
-  "mozambique": "MZ",
-  "namibia": "NA",
-  "botswana": "BW",
-  "madagascar": "MG",
-  "mali": "ML",
-  "niger": "NE",
-  "chad": "TD",
-  "sudan": "SD",
-  "south sudan": "SS",
-  "somalia": "SO",
-  "libya": "LY",
-  "democratic republic of the congo": "CD",
-  "congo": "CG",
-  "rwanda": "RW",
-  "burundi": "BI",
-  "sierra leone": "SL",
-  "liberia": "LR",
-  "benin": "BJ",
-  "togo": "TG",
-  "gambia": "GM",
-  "guinea": "GN",
-  "guinea-bissau": "GW",
-  "mauritania": "MR",
-  "cape verde": "CV", "cabo verde": "CV",
-
-  // bonus
-  "usa": "US", "united states": "US",
-  "canada": "CA",
-  "japan": "JP", "japen": "JP",
-};
-
-const ISO_LABEL = {
-  NO: "Norway",
-  SE: "Sweden",
-  DK: "Denmark",
-  FI: "Finland",
-  IS: "Iceland",
-  DE: "Germany",
-  FR: "France",
-  IT: "Italy",
-  ES: "Spain",
-  PT: "Portugal",
-  NL: "Netherlands",
-  BE: "Belgium",
-  CH: "Switzerland",
-  AT: "Austria",
-  PL: "Poland",
-  CZ: "Czechia",
-  SK: "Slovakia",
-  HU: "Hungary",
-  RO: "Romania",
-  BG: "Bulgaria",
-  SI: "Slovenia",
-  HR: "Croatia",
-  RS: "Serbia",
-  BA: "Bosnia & Herzegovina",
-  ME: "Montenegro",
-  MK: "North Macedonia",
-  AL: "Albania",
-  GR: "Greece",
-  TR: "Turkey",
-  UA: "Ukraine",
-  BY: "Belarus",
-  MD: "Moldova",
-  LV: "Latvia",
-  LT: "Lithuania",
-  EE: "Estonia",
-  IE: "Ireland",
-  GB: "United Kingdom",
-  XK: "Kosovo",
-  AD: "Andorra",
-  MC: "Monaco",
-  LI: "Liechtenstein",
-  LU: "Luxembourg",
-  SM: "San Marino",
-  MT: "Malta",
-  CY: "Cyprus",
-
-  BR: "Brazil",
-  AR: "Argentina",
-  CL: "Chile",
-  UY: "Uruguay",
-  PY: "Paraguay",
-  BO: "Bolivia",
-  PE: "Peru",
-  EC: "Ecuador",
-  CO: "Colombia",
-  VE: "Venezuela",
-  SR: "Suriname",
-  GY: "Guyana",
-
-  ZA: "South Africa",
-  EG: "Egypt",
-  TN: "Tunisia",
-  MA: "Morocco",
-  DZ: "Algeria",
-  NG: "Nigeria",
-  GH: "Ghana",
-  SN: "Senegal",
-  CI: "Ivory Coast",
-  CM: "Cameroon",
-  KE: "Kenya",
-  UG: "Uganda",
-  TZ: "Tanzania",
-  ET: "Ethiopia",
-  AO: "Angola",
-  ZM: "Zambia",
-  ZW: "Zimbabwe",
-  MZ: "Mozambique",
-  NA: "Namibia",
-  BW: "Botswana",
-  MG: "Madagascar",
-  ML: "Mali",
-  NE: "Niger",
-  TD: "Chad",
-  SD: "Sudan",
-  SS: "South Sudan",
-  SO: "Somalia",
-  LY: "Libya",
-  CD: "DR Congo",
-  CG: "Congo",
-  RW: "Rwanda",
-  BI: "Burundi",
-  SL: "Sierra Leone",
-  LR: "Liberia",
-  BJ: "Benin",
-  TG: "Togo",
-  GM: "Gambia",
-  GN: "Guinea",
-  GW: "Guinea-Bissau",
-  MR: "Mauritania",
-  CV: "Cabo Verde",
-
-  US: "United States",
-  CA: "Canada",
-  JP: "Japan",
-};
-
-function isoToFlag(iso) {
-  if (!iso || iso.length !== 2) return null;
-  const codePoints = [...iso.toUpperCase()]
-    .map(c => 0x1F1E6 + c.charCodeAt(0) - 65);
-  return String.fromCodePoint(...codePoints);
-}
-
 function deriveCountryLabel(ev, teamsBySofaId) {
   const home = teamsBySofaId.get(getHomeId(ev));
   const away = teamsBySofaId.get(getAwayId(ev));
@@ -532,16 +348,7 @@ function deriveCountryLabel(ev, teamsBySofaId) {
     raw = `${ts.tournament || ""} ${ts.season || ""}`;
   }
 
-  const text = asStr(raw).toLowerCase();
-  if (!text) return null;
-
-  let iso = null;
-  for (const key in COUNTRY_ALIASES) {
-    if (text.includes(key)) {
-      iso = COUNTRY_ALIASES[key];
-      break;
-    }
-  }
+  const iso = countryIso(raw);
   if (!iso) return null;
 
   const flag = isoToFlag(iso);
@@ -675,6 +482,153 @@ const PlayerAvatar = memo(function PlayerAvatar({ player }) {
   );
 });
 
+/* ===========================
+   Poeng-historikk / momentum
+   =========================== */
+
+/*
+  history[liveEventKey] = { [setNo]: [ { side, home, away, run, inferred } ] }
+
+  Bygges fra påfølgende /live-snapshots. Hopper scoren mer enn ett poeng
+  mellom to snapshots (tapt poll), legges mellompoengene inn som "inferred":
+  motpartens poeng først, så poengene til laget som har serve-run nå.
+  Første gang vi ser et sett midt i, starter historikken med en baseline
+  (side: null) i stedet for å dikte opp poengene før.
+*/
+function recordPointHistory(setsHistory, ev) {
+  const p = currentPoints(ev);
+  if (!p.setNo || (p.home == null && p.away == null)) return setsHistory;
+
+  const home = Number(p.home ?? 0);
+  const away = Number(p.away ?? 0);
+  const runHome = Number(ev.home_point_run ?? 0);
+  const runAway = Number(ev.away_point_run ?? 0);
+
+  const prevList = (setsHistory && setsHistory[p.setNo]) || [];
+  const last = prevList[prevList.length - 1];
+
+  if (last && last.home === home && last.away === away) return setsHistory;
+
+  // Tom historikk midt i settet, eller scoren er korrigert nedover
+  if ((!last && home + away > 1) || (last && (home < last.home || away < last.away))) {
+    return {
+      ...setsHistory,
+      [p.setNo]: [{ side: null, home, away, run: 0, inferred: false }],
+    };
+  }
+
+  const list = prevList.slice();
+  let h = last ? last.home : 0;
+  let a = last ? last.away : 0;
+  const missed = (home - h) + (away - a) > 1;
+
+  const lastSide = runHome > 0 ? "home" : (runAway > 0 ? "away" : (home > h ? "home" : "away"));
+  const order = lastSide === "home" ? ["away", "home"] : ["home", "away"];
+
+  for (const side of order) {
+    const target = side === "home" ? home : away;
+    while ((side === "home" ? h : a) < target) {
+      if (side === "home") h++; else a++;
+      const isLast = h === home && a === away;
+      list.push({
+        side,
+        home: h,
+        away: a,
+        run: isLast ? (side === "home" ? runHome : runAway) : null,
+        inferred: missed && !isLast,
+      });
+    }
+  }
+
+  return { ...setsHistory, [p.setNo]: list };
+}
+
+function MomentumChart({ points, homeName, awayName }) {
+  const W = 320;
+  const H = 90;
+  const pad = 6;
+
+  if (!points || points.length < 2) {
+    return <div className="momentumEmpty">Ikke nok poeng registrert ennå.</div>;
+  }
+
+  const diffs = points.map(pt => pt.home - pt.away);
+  const maxAbs = Math.max(3, ...diffs.map(d => Math.abs(d)));
+  const stepX = (W - pad * 2) / (points.length - 1);
+  const midY = H / 2;
+  const scaleY = (H / 2 - pad) / maxAbs;
+
+  const xy = diffs.map((d, i) => [pad + i * stepX, midY - d * scaleY]);
+  const line = xy.map(([x, y]) => x.toFixed(1) + "," + y.toFixed(1)).join(" ");
+
+  return (
+    <div className="momentumChart">
+      <div className="momentumLegend">
+        <span className="home">▲ {homeName}</span>
+        <span className="away">▼ {awayName}</span>
+      </div>
+      <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" role="img"
+        aria-label={"Momentum " + homeName + " mot " + awayName}>
+        <line x1={0} x2={W} y1={midY} y2={midY} className="momentumAxis" />
+        <polyline points={line} className="momentumLine" />
+        {points.map((pt, i) => {
+          if (!pt.side) return null;
+          const [x, y] = xy[i];
+          const r = pt.run >= 3 ? 3.5 : 2;
+          return (
+            <circle
+              key={i}
+              cx={x}
+              cy={y}
+              r={r}
+              className={"momentumDot " + pt.side + (pt.inferred ? " inferred" : "")}
+            >
+              <title>
+                {pt.home}-{pt.away}
+                {pt.run ? " · run " + pt.run : ""}
+                {pt.inferred ? " (anslått)" : ""}
+              </title>
+            </circle>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
+
+function MomentumPanel({ history, currentSet, format, homeName, awayName }) {
+  const setNos = Object.keys(history || {}).map(Number).sort((a, b) => a - b);
+  const [picked, setPicked] = useState(null);
+
+  if (setNos.length === 0) return null;
+
+  const shown = (picked != null && history[picked]) ? picked : (currentSet ?? setNos[setNos.length - 1]);
+  const points = history[shown] || [];
+
+  return (
+    <div className="momentumPanel" onClick={(e) => e.stopPropagation()}>
+      <div className="momentumHeader">
+        <span>Momentum · {setLabel(shown, format)}</span>
+        {setNos.length > 1 && (
+          <span className="momentumSets">
+            {setNos.map(n => (
+              <button
+                key={n}
+                type="button"
+                className={"momentumSetBtn" + (n === shown ? " active" : "")}
+                onClick={() => setPicked(n)}
+              >
+                {n}
+              </button>
+            ))}
+          </span>
+        )}
+      </div>
+      <MomentumChart points={points} homeName={homeName} awayName={awayName} />
+    </div>
+  );
+}
+
 /* ===========================
    EventCard
    =========================== */
@@ -682,6 +636,10 @@ const PlayerAvatar = memo(function PlayerAvatar({ player }) {
 function EventCard(props) {
   const {
     ev,
+    flashInfo,
+    serveInfo,
+    playLabelInfo,
+    historyInfo,
     isFocused,
     onClick,
     isAbroadGroup,
@@ -690,15 +648,19 @@ function EventCard(props) {
     countryLabel,
     leagueLevel,
     stageLabel,
+    staleSince,
   } = props;
 
+  const flags = useFeatureFlags();
   const label = liveLabel(ev.status_type);
+  const fmt = detectScoringFormat(ev);
   const p = currentPoints(ev);
+  const badges = situationBadges(currentSetSituation(ev, p, fmt));
 
   const setsHome = (ev.home_sets ?? 0);
   const setsAway = (ev.away_sets ?? 0);
 
-  const currentSetText = p.setNo ? (String(p.setNo) + ". sett") : (ev.status_desc || "Pågår");
+  const currentSetText = p.setNo ? setLabel(p.setNo, fmt) : (ev.status_desc || "Pågår");
 
   const homeId = getHomeId(ev);
   const awayId = getAwayId(ev);
@@ -706,36 +668,26 @@ function EventCard(props) {
   const homeLogo = teamLogoUrl(homeId);
   const awayLogo = teamLogoUrl(awayId);
 
-  // Nye backend-felter:
-  const homeRun = ev.home_point_run ?? 0;
-  const awayRun = ev.away_point_run ?? 0;
-  const isNewScore = ev.new_score === 1;
-
-  const isServingHome = homeRun > 0;
-  const isServingAway = awayRun > 0;
-
-  const justScoredHome = isNewScore && homeRun > 0;
-  const justScoredAway = isNewScore && awayRun > 0;
-
-  const blinkHome = justScoredHome;
-  const blinkAway = justScoredAway;
-
-  const hotHome = homeRun >= 2;
-  const hotAway = awayRun >= 2;
+  const isServingHome = serveInfo && serveInfo.side === "home";
+  const isServingAway = serveInfo && serveInfo.side === "away";
 
-  const scoredSide = justScoredHome ? "home" : (justScoredAway ? "away" : null);
+  // Hvilken side fikk poeng akkurat nå? (kun denne skal blinke på tall)
+  const scoredSide =
+    flashInfo && flashInfo.home ? "home" :
+    (flashInfo && flashInfo.away ? "away" : null);
 
   const cls = "card" + (isFocused ? " focused" : "");
 
+  const playType = playLabelInfo ? servePlayLabelType(playLabelInfo.run, flags.serveRunLevels) : null;
   let playText = null;
-  if (justScoredHome || justScoredAway) {
-    const run = justScoredHome ? homeRun : awayRun;
-    if (run >= 2) {
-      playText = "Break-point";
-    } else {
-      playText = "Side-out";
-    }
+  if (playType === "side-out") {
+    playText = "Side-out";
+  } else if (playType === "break-point") {
+    playText = "Break-point";
+  } else if (playType === "dbl-break-ball") {
+    playText = "Dbl break-ball";
   }
+  // party: ingen ekstra tekst, kun ikoner
 
   const { tournament, season } = getTournamentAndSeason(ev);
 
@@ -754,17 +706,18 @@ function EventCard(props) {
   const subText = subParts.join(" · ");
 
   const setBoxes = [];
-  for (let i = 1; i <= 5; i++) {
+  for (let i = 1; i <= maxSets(fmt); i++) {
     const h = ev["home_p" + i];
     const a = ev["away_p" + i];
     if (h == null && a == null) continue;
     setBoxes.push(
       <SetBox
         key={i}
-        label={i + ". sett"}
+        label={setLabel(i, fmt)}
         home={h}
         away={a}
         highlight={p.setNo === i}
+        badge={p.setNo === i ? badges[0] : null}
       />
     );
   }
@@ -779,13 +732,14 @@ function EventCard(props) {
             <span className="tournamentName">{headerNode}</span>
           </div>
           {subText && <div className="sub">{subText}</div>}
+          <StaleMarker since={staleSince} />
         </div>
 
         <div className="status" title={ev.status_desc || ""}>
           <span
             className={
               statusDot(ev.status_type) +
-              (isNewScore ? " blinkScore" : "")
+              (scoredSide ? " blinkScore" : "")
             }
           ></span>
           {label + (ev.status_desc ? " · " + String(ev.status_desc) : "")}
@@ -820,15 +774,16 @@ function EventCard(props) {
         <div className="bigScore">
           <div className="pointsMain">
             <span
-              className={"pointVal" + (blinkHome ? " blinkScore" : "")}
+              key={"ph-" + (flashInfo.home || 0)}
+              className={"pointVal" + (flashInfo.home ? " blinkScore" : "")}
             >
               <span className="pointWrap home">
                 <span className="pointNumber">{p.home ?? "—"}</span>
                 {isServingHome && (
                   <ServeIcon
                     side="home"
-                    hot={hotHome}
-                    highlight={blinkHome}
+                    run={serveInfo.run}
+                    highlight={!!flashInfo.home}
                   />
                 )}
               </span>
@@ -837,15 +792,16 @@ function EventCard(props) {
             <span className="pointSep">-</span>
 
             <span
-              className={"pointVal" + (blinkAway ? " blinkScore" : "")}
+              key={"pa-" + (flashInfo.away || 0)}
+              className={"pointVal" + (flashInfo.away ? " blinkScore" : "")}
             >
               <span className="pointWrap away">
                 <span className="pointNumber">{p.away ?? "—"}</span>
                 {isServingAway && (
                   <ServeIcon
                     side="away"
-                    hot={hotAway}
-                    highlight={blinkAway}
+                    run={serveInfo.run}
+                    highlight={!!flashInfo.away}
                   />
                 )}
               </span>
@@ -857,6 +813,12 @@ function EventCard(props) {
             {p.setNo ? (" · " + currentSetText) : ""}
           </div>
 
+          {badges.length > 0 && (
+            <div className="situationRow">
+              {badges.map(b => <SituationBadge key={b.key} badge={b} ev={ev} />)}
+            </div>
+          )}
+
           {isFocused && (isServingHome || isServingAway) && (
             <div className="serveInfoRow">
               <div>
@@ -865,8 +827,7 @@ function EventCard(props) {
               {playText && (
                 <div
                   className={
-                    "playLabel " +
-                    (homeRun >= 2 || awayRun >= 2 ? "break-point" : "side-out")
+                    "playLabel " + (playType === "side-out" ? "side-out" : "break-point")
                   }
                 >
                   {playText}
@@ -915,6 +876,16 @@ function EventCard(props) {
           {setBoxes}
         </div>
       )}
+
+      {isFocused && flags.momentum && historyInfo && (
+        <MomentumPanel
+          history={historyInfo}
+          currentSet={p.setNo}
+          format={fmt}
+          homeName={ev.home_team_name}
+          awayName={ev.away_team_name}
+        />
+      )}
     </div>
   );
 }
@@ -927,123 +898,141 @@ function App() {
   const [events, setEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
+  const [staleSince, setStaleSince] = useState(null); // offline: tidspunkt for siste ferske data
 
-  const [filter, setFilter] = useState("other");
-  const [focusedId, setFocusedId] = useState(null);
+  const [flash, setFlash] = useState({});
+  const [playLabel, setPlayLabel] = useState({});
+  const [history, setHistory] = useState({});
 
-  const [teams, setTeams] = useState([]);
-  const [players, setPlayers] = useState([]);
+  // Filter og fokus ligger i URL-en (#/live/<filter>/<eventId>), se router.js.
+  // Uten filter i URL-en velges det automatisk ("smart default").
+  const route = useRoute();
+  const routeSegs = route.view === "live" ? route.segs : [];
+  const routeFilter = FILTERS.some(f => f.key === routeSegs[0]) ? routeSegs[0] : null;
+  const focusedId = routeFilter && routeSegs[1] ? routeSegs[1] : null;
 
-  const pollRef = useRef(null);
-  const abortLiveRef = useRef(null);
-  const wakeLockRef = useRef(null);
+  // Avspilling av opptak: #/live/replay (liste) og #/live/replay/<key>
+  const replayMode = routeSegs[0] === "replay";
+  const replayKey = replayMode ? (routeSegs[1] || null) : null;
 
-  const fetchJson = useCallback(async (path, signal) => {
-    const res = await fetch(API_BASE + path, {
-      headers: { "Accept": "application/json" },
-      signal: signal,
-      cache: "no-store",
-    });
-    if (!res.ok) throw new Error(String(res.status) + " " + String(res.statusText));
-    return res.json();
-  }, []);
-
-  /* ---- Hent teams ---- */
+  const [autoFilter, setAutoFilter] = useState("other");
+  const filter = routeFilter || autoFilter;
 
-  useEffect(() => {
-    let cancelled = false;
-    const controller = new AbortController();
+  const goLive = useCallback((filterKey, id) => {
+    navigate(buildHash("live", [filterKey, id]));
+  }, []);
 
-    (async () => {
-      try {
-        const data = await fetchJson("/teams?limit=1000&offset=0", controller.signal);
-        if (!cancelled) {
-          setTeams(safeArray(data));
-        }
-      } catch (e) {
-        if (String(e && e.name) === "AbortError") return;
-        console.warn("Feil ved henting av teams:", e);
-      }
-    })();
+  // Lag og spillere (normalisert) fra det felles datalaget, se datastore.js
+  const data = useDataStore();
+  const players = data.players;
+  const teamsBySofaId = data.teamsBySofaId;
+  const favs = useFavorites();
+  const recordKeys = useRecordKeys();
+  const leader = useTabLeader(); // bare lederfanen poller, se tabsync.js
+  const settings = useSettings();
+  const [notifyOn, setNotifyOn] = useState(getNotifyEnabled);
+
+  const eventsRef = useRef(null); // siste ekte /live hos lederen (baseline for varsler), null til første payload
+  const isMineRef = useRef(() => false);
+  const historyRef = useRef({});
+  const abortLiveRef = useRef(null);
+  const wakeLockRef = useRef(null);
+  const feedRef = useRef(null);
+  const urgentRef = useRef(false); // sett-/matchball i kampen i fokus → raskere polling
+  const liveRawRef = useRef([]); // siste live-data fra API-et (også under avspilling)
+  const lastFreshAtRef = useRef(null);
 
-    return () => {
-      cancelled = true;
-      controller.abort();
-    };
-  }, [fetchJson]);
+  /* ---- Lag og spillere ---- */
 
-  /* ---- Hent players ---- */
+  useEffect(() => {
+    // Følgerfaner får dataene fra lederen
+    if (!leader) return;
+    loadDataStore().catch(e => console.warn("Feil ved henting av lag/spillere:", e));
+  }, [leader]);
 
-  function normalizePlayer(p) {
-    return {
-      id: nonEmpty(p.id),
-      name: asStr(p.name) || "—",
-      nationality: nonEmpty(p.nationality),
-      sofascoreTeamId: asNum(p.sofascore_team_id),
-    };
-  }
+  // Bare norske spillere vises på kortene
+  const playersByTeamSofaId = useMemo(() => {
+    const map = new Map();
+    for (const [key, arr] of data.playersBySofaTeamId) {
+      const norwegians = arr.filter(p => isNorwegianPlayer(p));
+      if (norwegians.length) map.set(key, norwegians);
+    }
+    return map;
+  }, [data]);
 
+  // Pågående kamper til kommandopaletten (ikke opptak som spilles av)
   useEffect(() => {
-    let cancelled = false;
-    const controller = new AbortController();
-
-    (async () => {
-      try {
-        const data = await fetchJson("/players?limit=1000&offset=0", controller.signal);
-        if (!cancelled) {
-          const arr = Array.isArray(data) ? data : safeArray(data?.items);
-          setPlayers(
-            arr.map(normalizePlayer).filter(p => p && p.id && p.sofascoreTeamId != null)
-          );
-        }
-      } catch (e) {
-        if (String(e && e.name) === "AbortError") return;
-        console.warn("Feil ved henting av players:", e);
+    if (!replayMode) setLiveSnapshot(events);
+  }, [events, replayMode]);
+
+  /* ---- Hent live og scorer per kamp (bruker backend-run) ---- */
+
+  // Bare det som vises: kortene, blink og historikk. Varsler og opptak går på
+  // den ekte feeden hos lederen (trackLiveFeed), også under avspilling.
+  const applyLive = useCallback((nextEvents) => {
+    const newFlash = {};
+    const newPlayLabel = {};
+    const now = Date.now();
+
+    for (let i = 0; i < nextEvents.length; i++) {
+      const ev = nextEvents[i];
+      const key = liveEventKey(ev);
+
+      const runHome = Number(ev.home_point_run ?? 0);
+      const runAway = Number(ev.away_point_run ?? 0);
+      const newScore = Number(ev.new_score ?? 0);
+
+      let serveSide = null;
+      let currentRun = 0;
+
+      if (runHome > 0 && runAway === 0) {
+        serveSide = "home";
+        currentRun = runHome;
+      } else if (runAway > 0 && runHome === 0) {
+        serveSide = "away";
+        currentRun = runAway;
       }
-    })();
-
-    return () => {
-      cancelled = true;
-      controller.abort();
-    };
-  }, [fetchJson]);
 
-  /* ---- Map'er ---- */
+      if (newScore === 1 && serveSide && currentRun > 0) {
+        // Blink kun når det faktisk er NYTT poeng
+        newFlash[key] = {};
+        newFlash[key][serveSide] = now + Math.random();
 
-  const teamsBySofaId = useMemo(() => {
-    const map = new Map();
-    for (let i = 0; i < teams.length; i++) {
-      const t = teams[i];
-      if (!t) continue;
-      const raw = t.sofascore_team_id;
-      if (raw == null || raw === "") continue;
-      const key = Number(raw);
-      if (!Number.isNaN(key)) {
-        map.set(key, t);
+        // Etiketten (side-out, break-point, ...) velges i EventCard ut fra flaggene
+        newPlayLabel[key] = {
+          side: serveSide,
+          run: currentRun,
+        };
       }
     }
-    return map;
-  }, [teams]);
 
-  const playersByTeamSofaId = useMemo(() => {
-    const map = new Map();
-    for (let i = 0; i < players.length; i++) {
-      const p = players[i];
-      if (!p) continue;
-
-      const isNorwegian = asStr(p.nationality).toLowerCase().includes("nor");
-      if (!isNorwegian) continue;
+    // Poeng-historikk per kamp/sett (kun for kamper som fortsatt er i /live)
+    const newHistory = {};
+    for (let i = 0; i < nextEvents.length; i++) {
+      const ev = nextEvents[i];
+      const key = liveEventKey(ev);
+      newHistory[key] = recordPointHistory(historyRef.current[key] || {}, ev);
+    }
+    historyRef.current = newHistory;
 
-      const key = p.sofascoreTeamId;
-      if (key == null || Number.isNaN(key)) continue;
+    setFlash(newFlash);
+    setPlayLabel(newPlayLabel);
+    setHistory(newHistory);
 
-      if (!map.has(key)) map.set(key, []);
-      map.get(key).push(p);
-    }
-    return map;
-  }, [players]);
+    setEvents(nextEvents);
+    setError("");
+    setLoading(false);
+  }, []);
 
-  /* ---- Hent live ---- */
+  // Lederen, for hver ekte /live-payload: varsler for alle faner og opptak
+  const trackLiveFeed = useCallback((nextEvents) => {
+    showLiveNotifications(
+      diffLiveForNotifications(eventsRef.current, nextEvents),
+      (ev) => isMineRef.current(ev)
+    );
+    recordLiveSnapshot(nextEvents);
+    eventsRef.current = nextEvents;
+  }, []);
 
   const loadLive = useCallback(async () => {
     if (abortLiveRef.current) abortLiveRef.current.abort();
@@ -1051,17 +1040,21 @@ function App() {
     abortLiveRef.current = controller;
 
     try {
-      setError("");
-      const data = await fetchJson("/live", controller.signal);
-      const nextEvents = safeArray(data);
-      setEvents(nextEvents);
+      const res = await fetch(apiBase() + "/live", {
+        headers: { "Accept": "application/json" },
+        signal: controller.signal,
+        cache: "no-store",
+      });
+      if (!res.ok) throw new Error(String(res.status) + " " + String(res.statusText));
+      // Fra sw.js sin cache når nettet er borte, se offline.js
+      return { events: safeArray(await res.json()), staleSince: responseStaleSince(res) };
     } catch (e) {
-      if (String(e && e.name) === "AbortError") return;
-      setError(String((e && e.message) ? e.message : e));
+      if (String(e && e.name) === "AbortError") return null;
+      throw e;
     } finally {
       setLoading(false);
     }
-  }, [fetchJson]);
+  }, []);
 
   /* ---- Wake Lock ---- */
 
@@ -1092,79 +1085,169 @@ function App() {
     }
   }, []);
 
-  /* ---- Poll / cleanup ---- */
+  /* ---- Strøm / poll / cleanup ---- */
+
+  // Ny baseline for varsler når fanen blir (eller slutter å være) leder
+  useEffect(() => { eventsRef.current = null; }, [leader]);
 
   useEffect(() => {
-    loadLive();
-    pollRef.current = setInterval(loadLive, POLL_MS);
+    if (leader === null) return;
+
+    if (!leader) {
+      if (replayMode) return;
+      const unsubLive = subscribeTabData("live", (nextEvents) => applyLive(nextEvents));
+      const unsubStale = subscribeTabData("live-stale", setStaleSince);
+      return () => { unsubLive(); unsubStale(); };
+    }
+
+    const markStale = (since) => {
+      setStaleSince(since);
+      publishTabData("live-stale", since);
+    };
+
+    // Lederen poller videre under avspilling hvis andre faner trenger live-data;
+    // varsler, opptak og utdatert-merket gjelder den ekte feeden uansett
+    const onData = (nextEvents, since) => {
+      liveRawRef.current = nextEvents;
+      publishTabData("live", nextEvents);
+      if (!since) lastFreshAtRef.current = Date.now();
+      trackLiveFeed(nextEvents);
+      markStale(since || null);
+      if (!replayMode) applyLive(nextEvents);
+    };
+
+    const feed = openLiveFeed({
+      url: apiBase() + LIVE_STREAM_PATH,
+      pollMs: settings.livePollMs,
+      fastMs: LIVE_POLL_FAST_MS,
+      idleMs: LIVE_POLL_IDLE_MS,
+      isActive: () => !replayMode && isViewActive("live-root"),
+      isDemanded: () => hasPeerDemand("live"),
+      isUrgent: () => urgentRef.current || hasPeerDemand("live-urgent"),
+      poll: async () => {
+        try {
+          const res = await loadLive();
+          if (res) onData(res.events, res.staleSince);
+        } catch (e) {
+          if (replayMode) throw e;
+          // Har vi data fra før, vises de som utdaterte i stedet for en feilmelding
+          if (lastFreshAtRef.current && liveRawRef.current.length) markStale(lastFreshAtRef.current);
+          else setError(String((e && e.message) ? e.message : e));
+          throw e;
+        }
+      },
+      onSnapshot: (nextEvents) => onData(nextEvents, null),
+      onDelta: (patches) => onData(mergeLiveDelta(liveRawRef.current, patches), null),
+    });
+    feedRef.current = feed;
     return () => {
-      if (pollRef.current) clearInterval(pollRef.current);
+      feedRef.current = null;
+      feed.close();
       if (abortLiveRef.current) abortLiveRef.current.abort();
       releaseWakeLock();
     };
-  }, [loadLive, releaseWakeLock]);
+  }, [loadLive, applyLive, trackLiveFeed, releaseWakeLock, replayMode, leader, settings.apiBase, settings.livePollMs]);
+
+  const replay = useReplay(replayKey, (frameEvents) => applyLive(frameEvents));
 
   const liveEvents = useMemo(() => {
     return events.filter(ev => isLiveStatus(ev.status_type));
   }, [events]);
 
+  /* ---- favoritter ("Mine") ---- */
+
+  const mineTeamIds = useMemo(() => favoriteTeamIdSet(favs, players), [favs, players]);
+
+  const isMine = useCallback((ev) => {
+    const h = getHomeId(ev);
+    const a = getAwayId(ev);
+    return (h != null && mineTeamIds.has(String(h))) || (a != null && mineTeamIds.has(String(a)));
+  }, [mineTeamIds]);
+
+  isMineRef.current = isMine;
+
+  const toggleNotify = useCallback(async () => {
+    setNotifyOn(await setNotifyEnabled(!notifyOn));
+  }, [notifyOn]);
+
   /* ---- tell opp per gruppe ---- */
 
   const counts = useMemo(() => {
-    let miz = 0, abr = 0, oth = 0;
+    let miz = 0, abr = 0, oth = 0, mine = 0;
     for (let i = 0; i < liveEvents.length; i++) {
       const ev = liveEvents[i];
       const group = classifyEventGroup(ev, teamsBySofaId);
       if (group === "mizuno") miz++;
       else if (group === "abroad") abr++;
       else oth++;
+      if (isMine(ev)) mine++;
     }
-    return { abroad: abr, mizuno: miz, other: oth, all: liveEvents.length };
-  }, [liveEvents, teamsBySofaId]);
+    return { mine: mine, abroad: abr, mizuno: miz, other: oth, all: liveEvents.length };
+  }, [liveEvents, teamsBySofaId, isMine]);
 
   /* ---- smart default-filter ---- */
 
   useEffect(() => {
-    if (counts.mizuno > 0) {
-      setFilter("mizuno");
+    if (counts.mine > 0) {
+      setAutoFilter("mine");
+    } else if (counts.mizuno > 0) {
+      setAutoFilter("mizuno");
     } else if (counts.abroad > 0) {
-      setFilter("abroad");
+      setAutoFilter("abroad");
     } else {
-      setFilter("other");
+      setAutoFilter("other");
     }
-  }, [counts.abroad, counts.mizuno, counts.other]);
+  }, [counts.mine, counts.abroad, counts.mizuno, counts.other]);
 
   /* ---- filtrerte events ---- */
 
   const filtered = useMemo(() => {
     const arr = liveEvents.slice();
     arr.sort((a, b) => (a.start_ts ?? 0) - (b.start_ts ?? 0));
+    if (filter === "mine") return arr.filter(isMine);
     return arr.filter(ev => classifyEventGroup(ev, teamsBySofaId) === filter);
-  }, [liveEvents, filter, teamsBySofaId]);
+  }, [liveEvents, filter, teamsBySofaId, isMine]);
 
   /* ---- fokuslogikk ---- */
 
   const visible = useMemo(() => {
+    if (replayMode) return replayKey ? events : [];
     if (!focusedId) return filtered;
 
     const found =
-      filtered.find(ev => eventId(ev) === focusedId) ||
-      liveEvents.find(ev => eventId(ev) === focusedId) ||
+      filtered.find(ev => String(eventId(ev)) === focusedId) ||
+      liveEvents.find(ev => String(eventId(ev)) === focusedId) ||
       null;
 
     return found ? [found] : filtered;
-  }, [filtered, focusedId, liveEvents]);
+  }, [filtered, focusedId, liveEvents, replayMode, replayKey, events]);
 
   const currentFilterObj = FILTERS.find(x => x.key === filter);
 
+  /* ---- Raskere polling ved sett-/matchball i kampen i fokus ---- */
+
+  useEffect(() => {
+    const focusedEvent = focusedId != null
+      ? liveEvents.find(ev => String(eventId(ev)) === focusedId) || null
+      : null;
+    const sit = focusedEvent ? currentSetSituation(focusedEvent, currentPoints(focusedEvent)) : null;
+    const urgent = !!(sit && (sit.setPoint || sit.matchPoint));
+
+    if (urgentRef.current !== urgent) {
+      urgentRef.current = urgent;
+      setTabDemand("live-urgent", urgent);
+      if (feedRef.current) feedRef.current.refresh();
+    }
+  }, [focusedId, liveEvents]);
+
   /* ---- Wake Lock vs fokus ---- */
 
   useEffect(() => {
     let focusedEvent = null;
     if (focusedId != null) {
       focusedEvent =
-        filtered.find(ev => eventId(ev) === focusedId) ||
-        liveEvents.find(ev => eventId(ev) === focusedId) ||
+        filtered.find(ev => String(eventId(ev)) === focusedId) ||
+        liveEvents.find(ev => String(eventId(ev)) === focusedId) ||
         null;
     }
 
@@ -1207,39 +1290,80 @@ function App() {
 
   return (
     <div className="wrap">
-      <div className="focusBar">
-        <div className="badges" style={{ marginBottom: 4 }}>
-          {FILTERS.map(f => {
-            const active = filter === f.key;
-            const n =
-              f.key === "abroad" ? counts.abroad :
-              f.key === "mizuno" ? counts.mizuno :
-              counts.other;
-
-            return (
+      {replayMode && (replayKey ? (
+        <ReplayControls replay={replay} onClose={() => goLive(filter)} />
+      ) : (
+        <RecordingsList
+          onOpen={(key) => navigate(buildHash("live", ["replay", key]))}
+          onClose={() => goLive(filter)}
+        />
+      ))}
+
+      {!replayMode && (
+        <div className="focusBar">
+          <div className="badges" style={{ marginBottom: 4 }}>
+            {FILTERS.map(f => {
+              const active = filter === f.key;
+              const n =
+                f.key === "mine" ? counts.mine :
+                f.key === "abroad" ? counts.abroad :
+                f.key === "mizuno" ? counts.mizuno :
+                counts.other;
+
+              return (
+                <button
+                  key={f.key}
+                  onClick={() => goLive(f.key)}
+                  className="badge filterBtn"
+                  style={{
+                    background: active ? "#111827" : "#fafafa",
+                    color: active ? "#ffffff" : "#111827",
+                    borderColor: active ? "#111827" : "var(--border)",
+                  }}
+                  title={f.label}
+                >
+                  {f.label} ({n})
+                </button>
+              );
+            })}
+
+            {notifySupported() && (
               <button
-                key={f.key}
-                onClick={() => { setFilter(f.key); setFocusedId(null); }}
+                onClick={toggleNotify}
                 className="badge filterBtn"
-                style={{
-                  background: active ? "#111827" : "#fafafa",
-                  color: active ? "#ffffff" : "#111827",
-                  borderColor: active ? "#111827" : "var(--border)",
-                }}
-                title={f.label}
+                title="Varsler for favorittlag: kampstart, sett, tie-break og slutt"
+                aria-pressed={notifyOn}
               >
-                {f.label} ({n})
+                {notifyOn ? "🔔 Varsler på" : "🔕 Varsler av"}
               </button>
-            );
-          })}
-        </div>
+            )}
 
-        {focusedId && (
-          <button className="backBtn" onClick={() => setFocusedId(null)}>
-            ← Tilbake til alle kamper
-          </button>
-        )}
-      </div>
+            <button
+              onClick={() => navigate(buildHash("live", ["replay"]))}
+              className="badge filterBtn"
+              title="Spill av lagrede kamper"
+            >
+              ⏺ Opptak
+            </button>
+          </div>
+
+          {focusedId && (
+            <div className="focusActions">
+              <button className="backBtn" onClick={() => goLive(filter)}>
+                ← Tilbake til alle kamper
+              </button>
+              <button
+                className={"backBtn" + (isRecordingEvent(recordKeys, focusedId) ? " recording" : "")}
+                onClick={() => toggleRecordEvent(focusedId)}
+                aria-pressed={isRecordingEvent(recordKeys, focusedId)}
+                title="Lagrer hvert /live-snapshot for kampen lokalt i nettleseren"
+              >
+                {isRecordingEvent(recordKeys, focusedId) ? "⏹ Stopp opptak" : "⏺ Ta opp"}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
 
       {focusedId && (
         <div className="focusInfo">
@@ -1251,7 +1375,7 @@ function App() {
       {error && <div className="alert">Feil: {error}</div>}
       {loading && <div style={{ marginTop: 10, color: "#6b7280" }}>Laster…</div>}
 
-      {!loading && !error && visible.length === 0 && (
+      {!loading && !error && !replayMode && visible.length === 0 && (
         <div className="card" style={{ marginTop: 10, cursor: "default" }}>
           <div style={{ fontWeight: 800, marginBottom: 6 }}>Ingen livekamper</div>
           <div style={{ color: "#6b7280" }}>
@@ -1262,8 +1386,11 @@ function App() {
 
       <div className="grid">
         {visible.map(ev => {
-          const keyStr = eventKey(ev);
-          const isFocused = focusedId != null && eventId(ev) === focusedId;
+          const keyStr = liveEventKey(ev);
+          const flashInfo = flash[keyStr] || {};
+          const playLabelInfo = playLabel[keyStr] || null;
+          const historyInfo = history[keyStr] || null;
+          const isFocused = replayMode || (focusedId != null && String(eventId(ev)) === focusedId);
 
           const id = eventId(ev);
 
@@ -1277,10 +1404,24 @@ function App() {
           const leagueLevel = deriveLeagueLevel(ev, teamsBySofaId);
           const stageLabel = deriveStageLabel(ev);
 
+          const runHome = Number(ev.home_point_run ?? 0);
+          const runAway = Number(ev.away_point_run ?? 0);
+
+          let serveInfo = null;
+          if (runHome > 0 && runAway === 0) {
+            serveInfo = { side: "home", run: runHome };
+          } else if (runAway > 0 && runHome === 0) {
+            serveInfo = { side: "away", run: runAway };
+          }
+
           return (
             <EventCard
               key={keyStr}
               ev={ev}
+              flashInfo={flashInfo}
+              serveInfo={serveInfo}
+              playLabelInfo={playLabelInfo}
+              historyInfo={historyInfo}
               isFocused={isFocused}
               isAbroadGroup={isAbroadGroup}
               norPlayersHome={norPlayersHome}
@@ -1288,11 +1429,13 @@ function App() {
               countryLabel={countryLabel}
               leagueLevel={leagueLevel}
               stageLabel={stageLabel}
+              staleSince={replayMode ? null : staleSince}
               onClick={() => {
-                if (id == null) {
-                  setFocusedId(null);
+                if (replayMode) return;
+                if (id == null || isFocused) {
+                  goLive(filter);
                 } else {
-                  setFocusedId(prev => (prev === id ? null : id));
+                  goLive(filter, id);
                 }
               }}
             />
@@ -1303,4 +1446,7 @@ function App() {
   );
 }
 
-ReactDOM.createRoot(document.getElementById("live-root")).render(<App />);
+// I overlay-modus (?overlay=<eventId>) rendrer overlay.js alene
+if (!document.body.classList.contains("overlayMode")) {
+  ReactDOM.createRoot(document.getElementById("live-root")).render(<App />);
+}
@@ -0,0 +1,224 @@
+/* ===========================
+   Live-feed (SSE med fallback til polling)
+   ===========================
+   Backend kan strømme /live som Server-Sent Events:
+   - event "snapshot": hele /live-arrayet
+   - event "delta":    ett eller flere endrede events { event_id, ...felter }
+                       (removed: true fjerner eventet)
+   - event "ping":     livstegn, sendes jevnlig
+
+   Er strømmen utilgjengelig (ingen EventSource, 404, nettfeil eller stille
+   for lenge) faller vi tilbake til vanlig polling, og prøver strømmen på nytt
+   etter LIVE_STREAM_RETRY_MS.
+*/
+
+const LIVE_STREAM_PATH = "/live/stream";
+const LIVE_STREAM_RETRY_MS = 30000;
+const LIVE_STREAM_STALE_MS = 45000;
+
+function liveDeltaKey(ev) {
+  const id = ev ? (ev.event_id ?? ev.custom_id ?? null) : null;
+  return id == null ? null : String(id);
+}
+
+function mergeLiveDelta(events, patches) {
+  const list = Array.isArray(events) ? events.slice() : [];
+  const indexByKey = new Map();
+  for (let i = 0; i < list.length; i++) {
+    const k = liveDeltaKey(list[i]);
+    if (k != null) indexByKey.set(k, i);
+  }
+
+  // new_score betyr "poeng i denne oppdateringen", så den skal ikke
+  // henge igjen på events som ikke er med i deltaen.
+  for (let i = 0; i < list.length; i++) {
+    if (list[i] && list[i].new_score) list[i] = { ...list[i], new_score: 0 };
+  }
+
+  const removed = new Set();
+  for (const patch of (Array.isArray(patches) ? patches : [])) {
+    const k = liveDeltaKey(patch);
+    if (k == null) continue;
+
+    if (patch.removed) {
+      removed.add(k);
+      continue;
+    }
+
+    const idx = indexByKey.get(k);
+    if (idx == null) {
+      indexByKey.set(k, list.length);
+      list.push({ ...patch });
+    } else {
+      list[idx] = { ...list[idx], ...patch };
+    }
+  }
+
+  return removed.size ? list.filter(ev => !removed.has(liveDeltaKey(ev))) : list;
+}
+
+function parseFeedData(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.warn("Ugyldig data fra live-strøm:", e);
+    return null;
+  }
+}
+
+/*
+  opts:
+  - url:        full URL til strømmen (apiBase() + LIVE_STREAM_PATH)
+  - pollMs:     intervall for fallback-polling
+  - poll():     henter /live én gang (brukes både ved oppstart og fallback);
+                avvis ved feil så pollingen backer av
+  - onSnapshot(events)
+  - onDelta(patches)
+  - fastMs, idleMs, isActive(), isDemanded(), isUrgent(): se
+                createAdaptivePoller (poller.js)
+
+  Returnerer { close(), refresh() }. refresh() ber pollingen regne ut
+  intervallet på nytt, f.eks. når isUrgent() kan ha endret seg.
+*/
+function openLiveFeed(opts) {
+  const { url, poll, onSnapshot, onDelta } = opts;
+
+  let closed = false;
+  let source = null;
+  let polling = false;
+  let retryTimer = null;
+  let staleTimer = null;
+
+  const poller = createAdaptivePoller({
+    poll,
+    baseMs: opts.pollMs,
+    fastMs: opts.fastMs,
+    idleMs: opts.idleMs,
+    isActive: opts.isActive,
+    isDemanded: opts.isDemanded,
+    isUrgent: opts.isUrgent,
+  });
+
+  function startPolling() {
+    if (closed || polling) return;
+    polling = true;
+    poller.start();
+  }
+
+  function stopPolling() {
+    polling = false;
+    poller.stop();
+  }
+
+  function touch() {
+    if (staleTimer) clearTimeout(staleTimer);
+    staleTimer = setTimeout(fallback, LIVE_STREAM_STALE_MS);
+  }
+
+  function fallback() {
+    if (staleTimer) clearTimeout(staleTimer);
+    staleTimer = null;
+    if (source) {
+      source.close();
+      source = null;
+    }
+    if (closed) return;
+
+    startPolling();
+    if (!retryTimer) {
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        connect();
+      }, LIVE_STREAM_RETRY_MS);
+    }
+  }
+
+  function connect() {
+    if (closed || source) return;
+    if (typeof EventSource !== "function") return;
+
+    let es;
+    try {
+      es = new EventSource(url);
+    } catch (e) {
+      console.warn("Live-strøm kunne ikke åpnes:", e);
+      fallback();
+      return;
+    }
+    source = es;
+
+    es.onopen = () => {
+      stopPolling();
+      touch();
+    };
+
+    es.addEventListener("snapshot", (msg) => {
+      touch();
+      const data = parseFeedData(msg.data);
+      if (Array.isArray(data)) onSnapshot(data);
+    });
+
+    es.addEventListener("delta", (msg) => {
+      touch();
+      const data = parseFeedData(msg.data);
+      if (data) onDelta(Array.isArray(data) ? data : [data]);
+    });
+
+    es.addEventListener("ping", touch);
+
+    // EventSource prøver selv på nytt ved brudd, men mens den gjør det
+    // står vi uten data. Vi poller heller og kobler til igjen senere.
+    es.onerror = () => {
+      console.warn("Live-strøm utilgjengelig, faller tilbake til polling");
+      fallback();
+    };
+  }
+
+  startPolling();
+  connect();
+
+  return {
+    refresh() {
+      if (polling) poller.refresh();
+    },
+    close() {
+      closed = true;
+      stopPolling();
+      if (retryTimer) clearTimeout(retryTimer);
+      if (staleTimer) clearTimeout(staleTimer);
+      retryTimer = null;
+      staleTimer = null;
+      if (source) source.close();
+      source = null;
+    },
+  };
+}
+
+/* ===========================
+   Siste /live i denne fanen
+   ===========================
+   Livescore og Hub har hver sin feed; den som sist fikk data setter
+   øyeblikksbildet, så f.eks. kommandopaletten (palette.js) kan søke i
+   pågående kamper uansett hvilken visning som er åpen. Rå /live-rader.
+*/
+let liveSnapshot = [];
+const liveSnapshotListeners = new Set();
+
+function setLiveSnapshot(events) {
+  liveSnapshot = Array.isArray(events) ? events : [];
+  liveSnapshotListeners.forEach(fn => fn(liveSnapshot));
+}
+
+function getLiveSnapshot() {
+  return liveSnapshot;
+}
+
+function useLiveSnapshot() {
+  const [events, setEvents] = React.useState(getLiveSnapshot);
+  React.useEffect(() => {
+    setEvents(getLiveSnapshot());
+    liveSnapshotListeners.add(setEvents);
+    return () => liveSnapshotListeners.delete(setEvents);
+  }, []);
+  return events;
+}
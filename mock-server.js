@@ -0,0 +1,525 @@
+/* ===========================
+   Lokal stand-in for API-et
+   ===========================
+   Kjør:   node mock-server.js [port] [--no-stream] [--scenario=<navn>]
+           (standard port 8787, scenario "default")
+   Åpne så index.html?api=mock (se config.js) – alle API-baser peker da
+   mot http://localhost:8787 til det nullstilles med ?api=prod.
+
+   Ruter (samme form som produksjon):
+   - GET /live                  live-array
+   - GET /live/stream           Server-Sent Events (snapshot / delta / ping)
+   - GET /events                ?from_ts=&to_ts=&limit=&offset=
+   - GET /events/:id/summary    referat for ferdige kamper (ellers 404)
+   - GET /teams, /players       ?limit=&offset=
+   - GET /img/teams/:sofaId.png, /img/players/:id.jpg,
+         /img/tournaments/:id.png   SVG-plassholdere (ukjent id gir 404)
+
+   Styring:
+   - GET /mock/scenario              gjeldende + tilgjengelige scenarier
+   - GET /mock/scenario?name=<navn>  bytt scenario (starter kampene på nytt)
+
+   Med --no-stream svarer /live/stream 404, for å teste fallback til polling.
+
+   Hvert TICK_MS spiller hver livekamp ett steg i manuset sitt:
+   "H" = poeng hjemme, "A" = poeng borte, "." = ingen poeng (new_score 0).
+   Kamper uten manus får tilfeldige steg. home_point_run/away_point_run og
+   new_score settes slik backend gjør. Når manuset er brukt opp eller kampen
+   er ferdig, startes den på nytt fra utgangspunktet.
+*/
+
+const http = require("http");
+
+const args = process.argv.slice(2);
+const PORT = Number(args.find(a => /^\d+$/.test(a)) || 8787);
+const NO_STREAM = args.includes("--no-stream");
+const TICK_MS = 3000;
+const PING_MS = 15000;
+
+const now = () => Math.floor(Date.now() / 1000);
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+
+/* ===========================
+   Faste data
+   =========================== */
+const TOURNAMENTS = {
+  mizuno:   { id: 900201, name: "Mizuno Ligaen", season: "Mock 25/26" },
+  superlega:{ id: 900202, name: "SuperLega", season: "Mock 25/26" },
+  ligueA:   { id: 900203, name: "Ligue A", season: "Mock 25/26" },
+};
+
+const TEAMS = [
+  { id: "900001", name: "Mock Oslo",    country: "Norge",  league: "Mizuno Ligaen", group_type: "mizuno", sofascore_team_id: 900101, tournament_id: "900201", stream_url: "https://example.com/stream/oslo" },
+  { id: "900002", name: "Mock Bergen",  country: "Norge",  league: "Mizuno Ligaen", group_type: "mizuno", sofascore_team_id: 900102, tournament_id: "900201" },
+  { id: "900003", name: "Mock Tromsø",  country: "Norge",  league: "Mizuno Ligaen", group_type: "mizuno", sofascore_team_id: 900105, tournament_id: "900201" },
+  { id: "900004", name: "Mock Ålesund", country: "Norge",  league: "Mizuno Ligaen", group_type: "mizuno", sofascore_team_id: 900106, tournament_id: "900201" },
+  { id: "900005", name: "Mock Roma",    country: "Italy",  league: "SuperLega",     group_type: "abroad", sofascore_team_id: 900103, tournament_id: "900202" },
+  { id: "900006", name: "Mock Lyon",    country: "France", league: "Ligue A",       group_type: "abroad", sofascore_team_id: 900104, tournament_id: "900203" },
+];
+
+const PLAYERS = [
+  { id: "900501", name: "Ola Mock",      position: "Outside hitter", jersey_number: "7",  nationality: "Norge",  height_cm: "197", birth_year: "2000", team_id: "900005", sofascore_team_id: 900103, instagram: "@olamock" },
+  { id: "900502", name: "Kari Mock",     position: "Setter",         jersey_number: "3",  nationality: "Norge",  height_cm: "182", birth_year: "1998", team_id: "900006", sofascore_team_id: 900104 },
+  { id: "900503", name: "Per Mock",      position: "Middle blocker", jersey_number: "12", nationality: "Norge",  height_cm: "203", birth_year: "2002", team_id: "900001", sofascore_team_id: 900101 },
+  { id: "900504", name: "Åse Mock",      position: "Libero",         jersey_number: "1",  nationality: "Norge",  height_cm: "170", birth_year: "2004", team_id: "900002", sofascore_team_id: 900102 },
+  { id: "900505", name: "Marco Finto",   position: "Opposite",       jersey_number: "9",  nationality: "Italy",  height_cm: "200", birth_year: "1996", team_id: "900005", sofascore_team_id: 900103 },
+];
+
+function team(sofaId) {
+  return TEAMS.find(t => t.sofascore_team_id === sofaId);
+}
+
+/* ===========================
+   Kamper
+   =========================== */
+
+/*
+  sets: settresultater så langt, siste er settet som pågår
+        (f.eks. [[25, 20], [23, 22]] = 1-0 i sett, 23-22 i 2. sett).
+*/
+function makeMatch(id, homeSofa, awaySofa, opts) {
+  const o = opts || {};
+  const home = team(homeSofa);
+  const away = team(awaySofa);
+  const comp = o.tournament || TOURNAMENTS.mizuno;
+  const sets = o.sets || [[0, 0]];
+
+  const m = {
+    event_id: id,
+    custom_id: null,
+    status_type: o.status_type || "inprogress",
+    status_desc: o.status_desc || setDesc(sets.length),
+    tournament_id: comp.id,
+    tournament_name: comp.name,
+    season_name: comp.season,
+    start_ts: now() - (o.startedAgo ?? 600),
+    home_team_id: home.sofascore_team_id,
+    away_team_id: away.sofascore_team_id,
+    home_team_name: home.name,
+    away_team_name: away.name,
+    home_sets: 0,
+    away_sets: 0,
+    home_point_run: 0,
+    away_point_run: 0,
+    new_score: 0,
+  };
+
+  sets.forEach(([h, a], i) => {
+    m["home_p" + (i + 1)] = h;
+    m["away_p" + (i + 1)] = a;
+    if (i < sets.length - 1) {
+      if (h > a) m.home_sets++;
+      else m.away_sets++;
+    }
+  });
+
+  return m;
+}
+
+function setDesc(setNo) {
+  return setNo + (setNo === 1 ? "st" : setNo === 2 ? "nd" : setNo === 3 ? "rd" : "th") + " set";
+}
+
+function currentSet(m) {
+  return m.home_sets + m.away_sets + 1;
+}
+
+function setTarget(setNo) {
+  return setNo === 5 ? 15 : 25;
+}
+
+/* Spiller ett poeng og returnerer feltene som endret seg (deltaen). */
+function playPoint(m, side) {
+  const other = side === "home" ? "away" : "home";
+  const setNo = currentSet(m);
+
+  m[side + "_p" + setNo] = (m[side + "_p" + setNo] || 0) + 1;
+  m[side + "_point_run"] = (m[side + "_point_run"] || 0) + 1;
+  m[other + "_point_run"] = 0;
+  m.new_score = 1;
+
+  const delta = {
+    event_id: m.event_id,
+    ["home_p" + setNo]: m["home_p" + setNo],
+    ["away_p" + setNo]: m["away_p" + setNo],
+    home_point_run: m.home_point_run,
+    away_point_run: m.away_point_run,
+    new_score: 1,
+  };
+
+  const h = m["home_p" + setNo];
+  const a = m["away_p" + setNo];
+  if (Math.max(h, a) >= setTarget(setNo) && Math.abs(h - a) >= 2) {
+    m[side + "_sets"] += 1;
+    delta.home_sets = m.home_sets;
+    delta.away_sets = m.away_sets;
+
+    if (m[side + "_sets"] === 3) {
+      m.status_type = "finished";
+      m.status_desc = "Ended";
+      delta.status_type = m.status_type;
+    } else {
+      const next = currentSet(m);
+      m["home_p" + next] = 0;
+      m["away_p" + next] = 0;
+      m.status_desc = setDesc(next);
+      delta["home_p" + next] = 0;
+      delta["away_p" + next] = 0;
+    }
+    delta.status_desc = m.status_desc;
+  }
+
+  return delta;
+}
+
+/* ===========================
+   Scenarier
+   ===========================
+   live():   liste med slots { make(), script } – make() gir kampens
+             utgangspunkt, script er manuset (uten script: tilfeldig).
+   errors:   [{ match: path-regex, status, every? }] – every: n gir feil
+             på hver n-te forespørsel, ellers på alle.
+*/
+const RUNS_SCRIPT =
+  "H.A.HH.AAA..HHHH.A.AAAAA.HHHHHH..A.H.A.H.." +
+  "AAAA.HH.A.HHH..AAAAAA.H.H.A.A..HHHHH.AA.";
+
+function osloBergen(script, opts) {
+  return { make: () => makeMatch(900301, 900101, 900102, opts), script };
+}
+
+function romaLyon(script) {
+  return { make: () => makeMatch(900302, 900103, 900104, { tournament: TOURNAMENTS.superlega }), script };
+}
+
+function tiebreakMatch(id) {
+  return {
+    make: () => makeMatch(id, 900101, 900102, {
+      sets: [[25, 20], [22, 25], [25, 23], [19, 25], [11, 12]],
+      startedAgo: 2 * HOUR,
+    }),
+    script: "H.A.H.H.A.A.H.A.H.H.H...",
+  };
+}
+
+function postponedMatch() {
+  return {
+    make: () => makeMatch(900303, 900105, 900106, { status_type: "postponed", status_desc: "Postponed", sets: [] }),
+    script: "",
+  };
+}
+
+const SCENARIOS = {
+  default: {
+    desc: "To kamper med tilfeldige poeng",
+    live: () => [osloBergen(), romaLyon()],
+  },
+  runs: {
+    desc: "Server-rekker på 1–6 poeng, new_score av og på",
+    live: () => [osloBergen(RUNS_SCRIPT), romaLyon("..A....H...AA...")],
+  },
+  "set-end": {
+    desc: "Settball, forlenget sett og settskifte",
+    live: () => [osloBergen("H.A.A.H.H.A.H.H...H.A.", { sets: [[25, 21], [23, 22]] })],
+  },
+  tiebreak: {
+    desc: "2-2 i sett, tie-break med deuce og matchball",
+    live: () => [tiebreakMatch(900301)],
+  },
+  postponed: {
+    desc: "Utsatt kamp i /live ved siden av en vanlig kamp",
+    live: () => [postponedMatch(), osloBergen()],
+  },
+  errors: {
+    desc: "API-feil: /live 500 hver 3. gang, ingen strøm, referater 500",
+    live: () => [osloBergen(), romaLyon()],
+    errors: [
+      { match: /^\/live$/, status: 500, every: 3 },
+      { match: /^\/live\/stream$/, status: 503 },
+      { match: /^\/events\/\d+\/summary$/, status: 500 },
+    ],
+  },
+  all: {
+    desc: "Rekker, tie-break og utsatt kamp samtidig",
+    live: () => [osloBergen(RUNS_SCRIPT), tiebreakMatch(900304), postponedMatch()],
+  },
+};
+
+let scenarioName = (args.find(a => a.startsWith("--scenario=")) || "").split("=")[1] || "default";
+if (!SCENARIOS[scenarioName]) {
+  console.warn("Ukjent scenario '" + scenarioName + "', bruker default");
+  scenarioName = "default";
+}
+
+let slots = [];
+const requestCounts = new Map();
+
+function startScenario(name) {
+  scenarioName = name;
+  requestCounts.clear();
+  slots = SCENARIOS[name].live().map(s => ({ ...s, step: 0, match: s.make() }));
+}
+
+function liveMatches() {
+  return slots.map(s => s.match);
+}
+
+/* Neste steg i manuset: "home", "away" eller null (ingen poeng). */
+function nextSide(slot) {
+  if (slot.script == null) {
+    const r = Math.random();
+    return r < 0.35 ? "home" : r < 0.7 ? "away" : null;
+  }
+  const c = slot.script[slot.step++];
+  return c === "H" ? "home" : c === "A" ? "away" : null;
+}
+
+/*
+  Ett tick for alle kamper: { deltas, restarted }. En omstartet kamp kan
+  ikke sendes som delta – mergeLiveDelta legger den over den gamle raden,
+  og settene den nye kampen ikke har ennå ville blitt stående. Da sendes
+  et snapshot i stedet.
+*/
+function tick() {
+  const deltas = [];
+  let restarted = false;
+  for (const slot of slots) {
+    const m = slot.match;
+    m.new_score = 0;
+
+    const scriptDone = slot.script != null && slot.step >= slot.script.length;
+    if (m.status_type === "finished" || (scriptDone && slot.script !== "")) {
+      slot.step = 0;
+      slot.match = slot.make();
+      restarted = true;
+      continue;
+    }
+    if (m.status_type !== "inprogress") continue;
+
+    const side = nextSide(slot);
+    if (side) deltas.push(playPoint(m, side));
+  }
+  return { deltas, restarted };
+}
+
+/* ===========================
+   /events, referater
+   =========================== */
+function finishedEvent(id, homeSofa, awaySofa, sets, daysAgo, comp) {
+  const m = makeMatch(id, homeSofa, awaySofa, { sets: [...sets, [0, 0]], tournament: comp });
+  delete m["home_p" + (sets.length + 1)];
+  delete m["away_p" + (sets.length + 1)];
+  m.status_type = "finished";
+  m.status_desc = "Ended";
+  m.start_ts = now() - daysAgo * DAY;
+  delete m.home_point_run;
+  delete m.away_point_run;
+  delete m.new_score;
+  return m;
+}
+
+function upcomingEvent(id, homeSofa, awaySofa, daysAhead, comp) {
+  const m = makeMatch(id, homeSofa, awaySofa, { sets: [], tournament: comp, status_type: "notstarted", status_desc: "Not started" });
+  m.start_ts = now() + daysAhead * DAY;
+  return m;
+}
+
+function allEvents() {
+  return [
+    finishedEvent(900401, 900101, 900102, [[25, 20], [25, 18], [20, 25], [25, 23]], 3),
+    finishedEvent(900402, 900105, 900101, [[25, 22], [18, 25], [25, 27], [25, 21], [15, 13]], 7),
+    finishedEvent(900403, 900103, 900104, [[25, 17], [25, 19], [25, 21]], 2, TOURNAMENTS.superlega),
+    finishedEvent(900404, 900106, 900102, [[22, 25], [21, 25], [25, 23], [19, 25]], 10),
+    upcomingEvent(900405, 900102, 900105, 2),
+    upcomingEvent(900406, 900104, 900103, 4, TOURNAMENTS.ligueA),
+    {
+      ...upcomingEvent(900407, 900106, 900101, 1),
+      status_type: "postponed",
+      status_desc: "Postponed",
+    },
+    ...liveMatches(),
+  ];
+}
+
+function summaryFor(ev) {
+  const sets = [];
+  for (let i = 1; i <= 5; i++) {
+    if (ev["home_p" + i] == null) break;
+    sets.push(ev["home_p" + i] + "-" + ev["away_p" + i]);
+  }
+  const winner = ev.home_sets > ev.away_sets ? ev.home_team_name : ev.away_team_name;
+  const loser = ev.home_sets > ev.away_sets ? ev.away_team_name : ev.home_team_name;
+  const text =
+    winner + " slo " + loser + " " + ev.home_sets + "-" + ev.away_sets + " (" + sets.join(", ") + ").\n\n" +
+    "Dette er et generert referat fra mock-serveren.";
+
+  return {
+    headline: winner + " vant " + ev.home_sets + "-" + ev.away_sets,
+    subheadline: ev.tournament_name,
+    summary: text,
+    summary_html:
+      "<p><strong>" + winner + "</strong> slo " + loser + " " + ev.home_sets + "-" + ev.away_sets + ".</p>" +
+      "<p>Settene: " + sets.join(", ") + ".</p>" +
+      "<p><img src=\"/img/teams/" + (ev.home_sets > ev.away_sets ? ev.home_team_id : ev.away_team_id) + ".png\" alt=\"\"></p>",
+    image_url: null,
+    shock: ev.home_sets + ev.away_sets === 5,
+    has_rally: false,
+  };
+}
+
+/* ===========================
+   Bilder (SVG-plassholdere)
+   =========================== */
+function placeholderSvg(label, seed) {
+  const hue = (Number(seed) * 47) % 360;
+  const text = String(label).split(/\s+/).map(w => w[0] || "").join("").slice(0, 3).toUpperCase();
+  return (
+    "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"96\" height=\"96\" viewBox=\"0 0 96 96\">" +
+    "<rect width=\"96\" height=\"96\" rx=\"16\" fill=\"hsl(" + hue + ",60%,45%)\"/>" +
+    "<text x=\"48\" y=\"58\" font-family=\"sans-serif\" font-size=\"30\" font-weight=\"700\" " +
+    "fill=\"#fff\" text-anchor=\"middle\">" + text + "</text></svg>"
+  );
+}
+
+function imageFor(pathname) {
+  let m = pathname.match(/^\/img\/teams\/(\d+)\.png$/);
+  if (m) {
+    const t = team(Number(m[1]));
+    return t ? placeholderSvg(t.name, m[1]) : null;
+  }
+  m = pathname.match(/^\/img\/players\/(\d+)\.jpg$/);
+  if (m) {
+    const p = PLAYERS.find(x => x.id === m[1]);
+    return p ? placeholderSvg(p.name, m[1]) : null;
+  }
+  m = pathname.match(/^\/img\/tournaments\/(\d+)\.png$/);
+  if (m) {
+    const c = Object.values(TOURNAMENTS).find(x => String(x.id) === m[1]);
+    return c ? placeholderSvg(c.name, m[1]) : null;
+  }
+  return null;
+}
+
+/* ===========================
+   SSE-klienter
+   =========================== */
+const clients = new Set();
+
+function send(res, event, data) {
+  res.write("event: " + event + "\n");
+  res.write("data: " + JSON.stringify(data) + "\n\n");
+}
+
+setInterval(() => {
+  const { deltas, restarted } = tick();
+  if (restarted) {
+    for (const res of clients) send(res, "snapshot", liveMatches());
+    return;
+  }
+  if (!deltas.length) return;
+  for (const res of clients) send(res, "delta", deltas);
+}, TICK_MS);
+
+setInterval(() => {
+  for (const res of clients) send(res, "ping", { ts: now() });
+}, PING_MS);
+
+/* ===========================
+   HTTP
+   =========================== */
+function page(list, url) {
+  const limit = Number(url.searchParams.get("limit") || 1000);
+  const offset = Number(url.searchParams.get("offset") || 0);
+  return list.slice(offset, offset + limit);
+}
+
+function scriptedError(pathname) {
+  for (const rule of SCENARIOS[scenarioName].errors || []) {
+    if (!rule.match.test(pathname)) continue;
+    const key = rule.match.source;
+    const n = (requestCounts.get(key) || 0) + 1;
+    requestCounts.set(key, n);
+    if (!rule.every || n % rule.every === 0) return rule.status;
+  }
+  return null;
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  const path = url.pathname;
+  const cors = { "Access-Control-Allow-Origin": "*" };
+
+  const json = (status, body) => {
+    res.writeHead(status, { ...cors, "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  if (path === "/mock/scenario") {
+    const name = url.searchParams.get("name");
+    if (name) {
+      if (!SCENARIOS[name]) return json(400, { error: "ukjent scenario", available: Object.keys(SCENARIOS) });
+      startScenario(name);
+      for (const c of clients) send(c, "snapshot", liveMatches());
+      console.log("Scenario: " + name);
+    }
+    return json(200, {
+      current: scenarioName,
+      available: Object.fromEntries(Object.entries(SCENARIOS).map(([k, s]) => [k, s.desc])),
+    });
+  }
+
+  const errStatus = scriptedError(path);
+  if (errStatus) return json(errStatus, { error: "mock-feil (" + scenarioName + ")" });
+
+  if (path === "/live") return json(200, liveMatches());
+
+  if (path === "/live/stream" && !NO_STREAM) {
+    res.writeHead(200, {
+      ...cors,
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+    });
+    send(res, "snapshot", liveMatches());
+    clients.add(res);
+    req.on("close", () => clients.delete(res));
+    return;
+  }
+
+  if (path === "/events") {
+    const from = Number(url.searchParams.get("from_ts") || 0);
+    const to = Number(url.searchParams.get("to_ts") || Infinity);
+    const list = allEvents()
+      .filter(e => e.start_ts >= from && e.start_ts <= to)
+      .sort((a, b) => a.start_ts - b.start_ts);
+    return json(200, page(list, url));
+  }
+
+  const summaryMatch = path.match(/^\/events\/(\d+)\/summary$/);
+  if (summaryMatch) {
+    const ev = allEvents().find(e => String(e.event_id) === summaryMatch[1]);
+    if (!ev || ev.status_type !== "finished") return json(404, { error: "not found" });
+    return json(200, summaryFor(ev));
+  }
+
+  if (path === "/teams") return json(200, page(TEAMS, url));
+  if (path === "/players") return json(200, page(PLAYERS, url));
+
+  if (path.startsWith("/img/")) {
+    const svg = imageFor(path);
+    if (!svg) return json(404, { error: "not found" });
+    res.writeHead(200, { ...cors, "Content-Type": "image/svg+xml", "Cache-Control": "max-age=3600" });
+    res.end(svg);
+    return;
+  }
+
+  json(404, { error: "not found" });
+});
+
+startScenario(scenarioName);
+
+server.listen(PORT, () => {
+  console.log("Mock-API på http://localhost:" + PORT + " (scenario: " + scenarioName + ")");
+  console.log("Scenarier: " + Object.keys(SCENARIOS).join(", "));
+});
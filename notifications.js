@@ -0,0 +1,184 @@
+/* ===========================
+   Varsler (Notification API)
+   ===========================
+   Opt-in varsler for fulgte lag (favoritter): kampstart, sett vunnet,
+   tie-break og sluttresultat. Oppdages ved å sammenligne to påfølgende
+   /live-payloads (se applyLive i live.js).
+*/
+
+const NOTIFY_STORAGE_KEY = "volley.notify.v1";
+
+function notifySupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+function getNotifyEnabled() {
+  if (!notifySupported() || Notification.permission !== "granted") return false;
+  try {
+    return localStorage.getItem(NOTIFY_STORAGE_KEY) === "on";
+  } catch (e) {
+    return false;
+  }
+}
+
+async function setNotifyEnabled(on) {
+  if (on && notifySupported() && Notification.permission !== "granted") {
+    const perm = await Notification.requestPermission();
+    if (perm !== "granted") on = false;
+  }
+  try {
+    localStorage.setItem(NOTIFY_STORAGE_KEY, on ? "on" : "off");
+  } catch (e) {}
+  return on;
+}
+
+function notifyPhase(ev) {
+  const t = String(ev?.status_type || "").toLowerCase();
+  if (t.includes("inprogress") || t.includes("live") || t.includes("inplay")) return "live";
+  if (t.includes("finished") || t.includes("ended")) return "finished";
+  return "other";
+}
+
+function setScoreText(ev, setNo) {
+  const h = ev["home_p" + setNo];
+  const a = ev["away_p" + setNo];
+  if (h == null && a == null) return null;
+  return (h ?? "—") + "-" + (a ?? "—");
+}
+
+function allSetScores(ev) {
+  const parts = [];
+  const n = maxSets(detectScoringFormat(ev));
+  for (let i = 1; i <= n; i++) {
+    const s = setScoreText(ev, i);
+    if (s) parts.push(s);
+  }
+  return parts.join(", ");
+}
+
+function matchTitle(ev) {
+  return asStr(ev.home_team_name) + " – " + asStr(ev.away_team_name);
+}
+
+/*
+  Sammenligner to /live-payloads og returnerer varsler:
+  [{ tag, title, body, ev }]. prevEvents == null betyr første payload
+  (baseline) og gir ingen varsler.
+*/
+function diffLiveForNotifications(prevEvents, nextEvents) {
+  if (!prevEvents) return [];
+
+  const prevByKey = new Map();
+  for (const ev of prevEvents) {
+    const k = liveDeltaKey(ev);
+    if (k != null) prevByKey.set(k, ev);
+  }
+
+  const out = [];
+  const seen = new Set();
+
+  for (const ev of nextEvents) {
+    const k = liveDeltaKey(ev);
+    if (k == null) continue;
+    seen.add(k);
+
+    const prev = prevByKey.get(k) || null;
+    const phase = notifyPhase(ev);
+    const prevPhase = prev ? notifyPhase(prev) : null;
+
+    if (phase === "live" && prevPhase !== "live") {
+      out.push({
+        tag: k + ":start",
+        title: "Kampstart: " + matchTitle(ev),
+        body: asStr(ev.tournament_name) || "Kampen er i gang",
+        ev,
+      });
+    }
+
+    if (prev) {
+      const hs = Number(ev.home_sets ?? 0);
+      const as = Number(ev.away_sets ?? 0);
+      const phs = Number(prev.home_sets ?? 0);
+      const pas = Number(prev.away_sets ?? 0);
+
+      if (hs + as > phs + pas) {
+        const setNo = hs + as;
+        const winner = hs > phs ? ev.home_team_name : ev.away_team_name;
+        out.push({
+          tag: k + ":set" + setNo,
+          title: asStr(winner) + " vant " + setNo + ". sett",
+          body: [setScoreText(ev, setNo), "Sett " + hs + "-" + as, matchTitle(ev)].filter(Boolean).join(" · "),
+          ev,
+        });
+
+        const fmt = detectScoringFormat(ev);
+        if (hs === as && isTieBreakSet(hs + as + 1, fmt)) {
+          out.push({
+            tag: k + ":tiebreak",
+            title: "Tie-break: " + matchTitle(ev),
+            body: "Sett " + hs + "-" + as + " – avgjørende sett starter",
+            ev,
+          });
+        }
+      }
+    }
+
+    if (phase === "finished" && prevPhase && prevPhase !== "finished") {
+      out.push(finalNotification(k, ev));
+    }
+  }
+
+  // Kamper som forsvinner fra /live med en vinner regnes som ferdige
+  for (const [k, prev] of prevByKey.entries()) {
+    if (seen.has(k)) continue;
+    if (notifyPhase(prev) === "live" && hasMatchWinner(prev.home_sets, prev.away_sets, detectScoringFormat(prev))) {
+      out.push(finalNotification(k, prev));
+    }
+  }
+
+  return out;
+}
+
+function finalNotification(k, ev) {
+  return {
+    tag: k + ":final",
+    title: "Slutt: " + asStr(ev.home_team_name) + " " + (ev.home_sets ?? 0) + "-" + (ev.away_sets ?? 0) + " " + asStr(ev.away_team_name),
+    body: allSetScores(ev) || asStr(ev.tournament_name),
+    ev,
+  };
+}
+
+/*
+  Via service workeren (sw.js) når den er registrert: Chrome på Android
+  kaster på new Notification(). Konstruktøren brukes bare uten registrering
+  (file://, nettlesere uten service worker).
+*/
+function showNotification(title, options) {
+  const direct = () => {
+    try {
+      new Notification(title, options);
+    } catch (e) {
+      console.warn("Varsel feilet:", e);
+    }
+  };
+  if (!("serviceWorker" in navigator)) {
+    direct();
+    return;
+  }
+  navigator.serviceWorker.getRegistration()
+    .then(reg => (reg ? reg.showNotification(title, options) : direct()))
+    .catch((e) => console.warn("Varsel feilet:", e));
+}
+
+/* Viser varslene for kamper der isFollowed(ev) er sann. */
+function showLiveNotifications(items, isFollowed) {
+  if (!items.length || !getNotifyEnabled()) return;
+  for (const item of items) {
+    if (!isFollowed(item.ev)) continue;
+    showNotification(item.title, {
+      body: item.body,
+      tag: item.tag,
+      icon: teamLogoUrl(item.ev.home_team_id ?? item.ev.home_teams_id) || undefined,
+    });
+  }
+}
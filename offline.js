@@ -0,0 +1,42 @@
+/* ===========================
+   Offline / PWA
+   ===========================
+   sw.js cacher app-skallet (inkl. React/Babel fra unpkg) og siste vellykkede
+   svar fra /live, /teams, /players og /events/<id>/summary. Når nettet er
+   borte svarer den fra cachen og merker svaret med OFFLINE_STALE_HEADER og
+   tidspunktet det ble hentet (OFFLINE_CACHED_AT_HEADER).
+
+   Kortene viser da "Utdatert siden HH:MM" i stedet for en feilmelding.
+*/
+
+const OFFLINE_STALE_HEADER = "X-Volley-Stale";
+const OFFLINE_CACHED_AT_HEADER = "X-Volley-Cached-At";
+
+/* Tidspunkt (ms) for når et cachet svar ble hentet, eller null for ferske svar. */
+function responseStaleSince(res) {
+  if (!res || !res.headers || !res.headers.get(OFFLINE_STALE_HEADER)) return null;
+  const at = Number(res.headers.get(OFFLINE_CACHED_AT_HEADER));
+  return Number.isFinite(at) && at > 0 ? at : Date.now();
+}
+
+function formatStaleTime(ms) {
+  return new Date(ms).toLocaleTimeString("nb-NO", { hour: "2-digit", minute: "2-digit" });
+}
+
+function StaleMarker({ since }) {
+  if (!since) return null;
+  return (
+    <div className="staleMarker" title="Ingen kontakt med API-et – viser siste lagrede data">
+      ⚠ Utdatert siden {formatStaleTime(since)}
+    </div>
+  );
+}
+
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+  navigator.serviceWorker.register("sw.js").catch((e) => {
+    console.warn("Service worker kunne ikke registreres:", e);
+  });
+}
+
+registerServiceWorker();
@@ -0,0 +1,152 @@
+/* ===========================
+   Overlay for OBS/vMix
+   ===========================
+   index.html?overlay=<eventId> viser kun en gjennomsiktig score-bug for én
+   kamp. Bruker samme /live-feed som Livescore (strøm eller polling).
+
+   Query-parametre (alle valgfrie):
+   - pos:     tl | tr | bl | br | tc | bc      (standard tl)
+   - layout:  stack (to rader) | bar (én rad)  (standard stack)
+   - bg, fg:  bakgrunn/tekst, hex uten # (f.eks. bg=111827&fg=ffffff)
+   - accent:  farge på poeng-feltet
+   - home, away: lagfarger (stripe ved navnet)
+   - scale:   skalering, f.eks. 1.5
+   - sets=1:  vis settresultater
+   - logos=0: skjul logoer
+*/
+
+const OVERLAY_POLL_MS = 5000;
+
+function overlayColor(v, fallback) {
+  const s = asStr(v).replace(/^#/, "");
+  return /^[0-9a-f]{3,8}$/i.test(s) ? "#" + s : fallback;
+}
+
+function readOverlayOptions(search) {
+  const q = new URLSearchParams(search);
+  const pos = asStr(q.get("pos")).toLowerCase();
+  const scale = Number(q.get("scale"));
+  return {
+    eventId: nonEmpty(q.get("overlay")),
+    pos: ["tl", "tr", "bl", "br", "tc", "bc"].includes(pos) ? pos : "tl",
+    layout: q.get("layout") === "bar" ? "bar" : "stack",
+    showSets: q.get("sets") === "1",
+    showLogos: q.get("logos") !== "0",
+    scale: Number.isFinite(scale) && scale > 0 ? scale : 1,
+    colors: {
+      bg: overlayColor(q.get("bg"), "#111827"),
+      fg: overlayColor(q.get("fg"), "#ffffff"),
+      accent: overlayColor(q.get("accent"), "#facc15"),
+      home: overlayColor(q.get("home"), "#2563eb"),
+      away: overlayColor(q.get("away"), "#dc2626"),
+    },
+  };
+}
+
+function OverlayTeamRow({ side, name, logo, sets, points, run, setScores, opts }) {
+  return (
+    <div className={"ovRow " + side}>
+      <span className="ovStripe" style={{ background: opts.colors[side] }}></span>
+      {opts.showLogos && <LogoBox src={logo} />}
+      <span className="ovName">{name}</span>
+      <span className="ovServe">
+        {run > 0 && <ServeIcon side={side} run={run} />}
+      </span>
+      {opts.showSets && setScores.map((v, i) => (
+        <span key={i} className="ovSetScore">{v ?? "—"}</span>
+      ))}
+      <span className="ovSets">{sets}</span>
+      <span className="ovPoints">{points ?? "—"}</span>
+    </div>
+  );
+}
+
+function OverlayApp({ opts }) {
+  const [ev, setEv] = useState(null);
+  const eventsRef = useRef([]);
+
+  const pick = useCallback((rows) => {
+    eventsRef.current = rows;
+    const found = rows.find(r => String(eventId(r)) === opts.eventId) || null;
+    setEv(found);
+  }, [opts.eventId]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const poll = async () => {
+      try {
+        const res = await fetch(apiBase() + "/live", {
+          headers: { "Accept": "application/json" },
+          signal: controller.signal,
+          cache: "no-store",
+        });
+        if (!res.ok) throw new Error(String(res.status) + " " + String(res.statusText));
+        pick(safeArray(await res.json()));
+      } catch (e) {
+        if (String(e && e.name) === "AbortError") return;
+        console.warn("Overlay: /live feilet:", e);
+        throw e;
+      }
+    };
+
+    const feed = openLiveFeed({
+      url: apiBase() + LIVE_STREAM_PATH,
+      pollMs: OVERLAY_POLL_MS,
+      poll,
+      onSnapshot: pick,
+      onDelta: (patches) => pick(mergeLiveDelta(eventsRef.current, patches)),
+    });
+    return () => {
+      feed.close();
+      controller.abort();
+    };
+  }, [pick]);
+
+  if (!ev) return null;
+
+  const fmt = detectScoringFormat(ev);
+  const p = currentPoints(ev);
+  const runHome = Number(ev.home_point_run ?? 0);
+  const runAway = Number(ev.away_point_run ?? 0);
+
+  // Bare ferdigspilte sett i settlisten; settet som pågår vises som poeng
+  const doneSets = p.setNo ? p.setNo - 1 : Number(ev.home_sets ?? 0) + Number(ev.away_sets ?? 0);
+  const setNos = Array.from({ length: Math.min(doneSets, maxSets(fmt)) }, (_, i) => i + 1);
+
+  const style = {
+    "--ov-bg": opts.colors.bg,
+    "--ov-fg": opts.colors.fg,
+    "--ov-accent": opts.colors.accent,
+    transform: opts.scale !== 1 ? `scale(${opts.scale})` : undefined,
+  };
+
+  return (
+    <div className={"ovBug " + opts.layout + " pos-" + opts.pos} style={style}>
+      <OverlayTeamRow
+        side="home"
+        name={ev.home_team_name}
+        logo={teamLogoUrl(getHomeId(ev))}
+        sets={ev.home_sets ?? 0}
+        points={p.home}
+        run={runAway > 0 ? 0 : runHome}
+        setScores={setNos.map(n => ev["home_p" + n])}
+        opts={opts}
+      />
+      <OverlayTeamRow
+        side="away"
+        name={ev.away_team_name}
+        logo={teamLogoUrl(getAwayId(ev))}
+        sets={ev.away_sets ?? 0}
+        points={p.away}
+        run={runHome > 0 ? 0 : runAway}
+        setScores={setNos.map(n => ev["away_p" + n])}
+        opts={opts}
+      />
+    </div>
+  );
+}
+
+if (document.body.classList.contains("overlayMode")) {
+  const overlayOpts = readOverlayOptions(window.location.search);
+  ReactDOM.createRoot(document.getElementById("overlay-root")).render(<OverlayApp opts={overlayOpts} />);
+}
@@ -0,0 +1,234 @@
+/* ===========================
+   Kommandopalett (Ctrl+K / ⌘K)
+   ===========================
+   Søk over begge visningene: pågående kamper (/live, se livefeed.js),
+   lag, spillere og turneringer (search.js). Valg navigerer dit:
+   kampen i fokus i Livescore, laget eller spilleren i Hub, eller
+   turneringens tabell.
+
+   Tastatur: ↑/↓ (og Tab) flytter, Home/End hopper, Enter åpner,
+   Esc lukker.
+*/
+
+const PALETTE_LIMITS = { live: 5, team: 6, player: 6, tournament: 4 };
+
+const PALETTE_KINDS = {
+  live: "Live nå",
+  team: "Lag",
+  player: "Spillere",
+  tournament: "Turneringer",
+};
+
+// Kamper uten id kan ikke settes i fokus (#/live/<filter>/<eventId>) og tas ikke med
+function liveSearchEntry(ev) {
+  const { tournament } = getTournamentAndSeason(ev);
+  return searchEntry("live", String(eventId(ev)), ev, {
+    name: `${asStr(ev.home_team_name)} – ${asStr(ev.away_team_name)}`,
+    tournament,
+  }, { tournament: 0.4 });
+}
+
+/* Treff gruppert etter type: [{ kind, entry, ranges, hash, title, sub }] */
+function paletteResults(query, liveEvents, data, events) {
+  const liveEntries = liveEvents.filter(ev => eventId(ev) != null).map(liveSearchEntry);
+  const index = buildSearchIndex(data, events);
+
+  // Uten søk: pågående kamper som snarveier
+  if (!nonEmpty(query)) {
+    return liveEntries.slice(0, PALETTE_LIMITS.live).map(entry => paletteItem({ entry, ranges: {} }, data));
+  }
+
+  const out = [];
+  for (const kind of Object.keys(PALETTE_KINDS)) {
+    const hits = searchIndex(kind === "live" ? liveEntries : index, query, { kinds: [kind], limit: PALETTE_LIMITS[kind] });
+    for (const hit of hits) out.push(paletteItem(hit, data));
+  }
+  return out.filter(item => item.hash);
+}
+
+function paletteItem(hit, data) {
+  const { entry, ranges } = hit;
+  const item = entry.item;
+  const base = { kind: entry.kind, key: entry.kind + ":" + entry.id, title: entry.name, ranges: ranges.name };
+
+  if (entry.kind === "live") {
+    const group = classifyEventGroup(item, data.teamsBySofaId);
+    return {
+      ...base,
+      hash: buildHash("live", [group, eventId(item)]),
+      sub: [entry.fields.tournament?.raw, `${item.home_sets ?? 0}–${item.away_sets ?? 0}`].filter(Boolean).join(" · "),
+    };
+  }
+  if (entry.kind === "team") {
+    return {
+      ...base,
+      hash: buildHash("hub", ["team", item.id]),
+      sub: [item.league, item.country].filter(Boolean).join(" · "),
+    };
+  }
+  if (entry.kind === "player") {
+    const team = teamById(item.teamId);
+    return {
+      ...base,
+      hash: buildHash("hub", ["player", item.id]),
+      sub: [item.position, team?.name, team?.league].filter(Boolean).join(" · "),
+    };
+  }
+  if (entry.kind === "tournament") {
+    return {
+      ...base,
+      hash: standingsHash(item.sample),
+      sub: ["Tabell", item.seasonName].filter(Boolean).join(" · "),
+    };
+  }
+  return { ...base, hash: null };
+}
+
+/* ===========================
+   Visning
+   =========================== */
+function CommandPalette() {
+  const [open, setOpen] = React.useState(false);
+  const [query, setQuery] = React.useState("");
+  const [active, setActive] = React.useState(0);
+  const inputRef = React.useRef(null);
+  const listRef = React.useRef(null);
+  const returnFocusRef = React.useRef(null);
+
+  const liveEvents = useLiveSnapshot();
+  const data = useDataStore();
+  const events = useSearchEvents();
+
+  React.useEffect(() => {
+    const onKey = (e) => {
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setOpen(o => !o);
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // Fokus inn ved åpning, tilbake dit det var ved lukking
+  React.useEffect(() => {
+    if (open) {
+      returnFocusRef.current = document.activeElement;
+      setQuery("");
+      setActive(0);
+      setTimeout(() => inputRef.current?.focus(), 0);
+    } else if (returnFocusRef.current) {
+      returnFocusRef.current.focus?.();
+      returnFocusRef.current = null;
+    }
+  }, [open]);
+
+  const results = React.useMemo(
+    () => (open ? paletteResults(query, liveEvents, data, events) : []),
+    [open, query, liveEvents, data, events]
+  );
+
+  React.useEffect(() => { setActive(0); }, [query]);
+
+  React.useEffect(() => {
+    const el = listRef.current?.querySelector(`[data-index="${active}"]`);
+    el?.scrollIntoView?.({ block: "nearest" });
+  }, [active]);
+
+  if (!open) return null;
+
+  const choose = (item) => {
+    if (!item) return;
+    setOpen(false);
+    navigate(item.hash);
+  };
+
+  const move = (delta) => {
+    if (!results.length) return;
+    setActive(i => (i + delta + results.length) % results.length);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" || (e.key === "Tab" && !e.shiftKey)) {
+      e.preventDefault();
+      move(1);
+    } else if (e.key === "ArrowUp" || (e.key === "Tab" && e.shiftKey)) {
+      e.preventDefault();
+      move(-1);
+    } else if (e.key === "Home" && results.length) {
+      e.preventDefault();
+      setActive(0);
+    } else if (e.key === "End" && results.length) {
+      e.preventDefault();
+      setActive(results.length - 1);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      choose(results[active]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      setOpen(false);
+    }
+  };
+
+  const optionId = (i) => "palette-opt-" + i;
+
+  return (
+    <div className="paletteBackdrop" onMouseDown={() => setOpen(false)}>
+      <div
+        className="palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Søk"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <input
+          ref={inputRef}
+          className="paletteInput"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={onKeyDown}
+          placeholder="Søk kamper, lag, spillere, turneringer…"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="palette-list"
+          aria-activedescendant={results.length ? optionId(active) : undefined}
+          autoComplete="off"
+          spellCheck={false}
+        />
+
+        <div id="palette-list" className="paletteList" role="listbox" ref={listRef}>
+          {results.length === 0 && (
+            <div className="paletteEmpty">
+              {nonEmpty(query) ? "Ingen treff." : "Ingen kamper pågår nå. Skriv for å søke."}
+            </div>
+          )}
+          {results.map((item, i) => (
+            <React.Fragment key={item.key}>
+              {(i === 0 || results[i - 1].kind !== item.kind) && (
+                <div className="paletteGroup" role="presentation">{PALETTE_KINDS[item.kind]}</div>
+              )}
+              <div
+                id={optionId(i)}
+                data-index={i}
+                role="option"
+                aria-selected={i === active}
+                className={"paletteItem" + (i === active ? " active" : "")}
+                onMouseMove={() => { if (i !== active) setActive(i); }}
+                onClick={() => choose(item)}
+              >
+                <span className="paletteTitle"><Highlight text={item.title} ranges={item.ranges} /></span>
+                {item.sub && <span className="sub">{item.sub}</span>}
+              </div>
+            </React.Fragment>
+          ))}
+        </div>
+
+        <div className="paletteHint">↑↓ velg · Enter åpne · Esc lukk</div>
+      </div>
+    </div>
+  );
+}
+
+if (!document.body.classList.contains("overlayMode")) {
+  ReactDOM.createRoot(document.getElementById("palette-root")).render(<CommandPalette />);
+}
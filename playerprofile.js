@@ -0,0 +1,224 @@
+/* ===========================
+   Spillerprofil (Hub)
+   ===========================
+   #/hub/player/<playerId>: alt om én spiller – bio fra normalizePlayer,
+   Volleybox/Instagram, nåværende lag og liga, lagets siste resultater og
+   neste kamper, og klubbhistorikk.
+
+   /players har bare nåværende lag, så klubbytter oppdages her: hver gang
+   datalaget lastes, sammenlignes lagene med forrige kjente lag og endringer
+   legges til i localStorage. Historikken starter altså første gang appen
+   så spilleren.
+*/
+
+const PLAYER_CLUBS_STORAGE_KEY = "volley.playerClubs.v1";
+
+// { [playerId]: [{ teamId, teamName, league, since }] }, eldste først
+function readPlayerClubs() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(PLAYER_CLUBS_STORAGE_KEY) || "null");
+    return raw && typeof raw === "object" ? raw : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function recordPlayerClubs(state) {
+  if (!state.loadedAt || !state.players.length) return;
+
+  // Les på nytt: andre faner kan ha skrevet siden sist
+  const history = readPlayerClubs();
+  let changed = false;
+
+  for (const p of state.players) {
+    if (!p.id || !p.teamId) continue;
+    const list = Array.isArray(history[p.id]) ? history[p.id] : [];
+    const last = list[list.length - 1];
+    if (last && last.teamId === p.teamId) continue;
+
+    const team = state.teamsById.get(p.teamId);
+    history[p.id] = [...list, {
+      teamId: p.teamId,
+      teamName: team?.name ?? null,
+      league: team?.league ?? null,
+      since: state.loadedAt,
+    }];
+    changed = true;
+  }
+
+  if (!changed) return;
+  try {
+    localStorage.setItem(PLAYER_CLUBS_STORAGE_KEY, JSON.stringify(history));
+  } catch (e) {
+    console.warn("Kunne ikke lagre klubbhistorikk:", e);
+  }
+}
+
+subscribeDataStore(recordPlayerClubs);
+
+function playerClubHistory(playerId) {
+  const list = readPlayerClubs()[playerId];
+  return Array.isArray(list) ? list : [];
+}
+
+function playerAge(birthYear) {
+  const y = asNum(birthYear);
+  if (y == null || y < 1900) return null;
+  return new Date().getFullYear() - y;
+}
+
+function instagramUrl(handle) {
+  const ig = nonEmpty(handle);
+  if (!ig) return null;
+  return "https://instagram.com/" + (ig.startsWith("@") ? ig.slice(1) : ig);
+}
+
+/* ===========================
+   Visning
+   =========================== */
+function ProfileMatchList({ title, matches, teamSofaId, empty }) {
+  return (
+    <div className="card">
+      <div className="name">{title}</div>
+      {matches.length === 0 ? (
+        <div className="sub">{empty}</div>
+      ) : (
+        <div className="h2hList" style={{ marginTop: 8 }}>
+          {matches.map(e => {
+            const m = isFinished(e.raw) ? eventForTeam(e, teamSofaId) : null;
+            return (
+              <div key={e.eventId ?? e.startTs} className={"h2hRow" + (m ? (m.won ? " won" : " lost") : "")}>
+                <span className="h2hDate">{formatTs(e.startTs)}</span>
+                <span className="h2hTeams">
+                  {e.homeName} – {e.awayName}
+                  <span className="sub">{compHeaderText(e)}</span>
+                </span>
+                <span className="h2hScore">
+                  {m ? (
+                    <>
+                      <strong>{e.score.homeSets}–{e.score.awaySets}</strong>
+                      {e.score.sets.length > 0 && (
+                        <span className="sub">
+                          ({e.score.sets.map(s => `${s.home ?? "—"}-${s.away ?? "—"}`).join(", ")})
+                        </span>
+                      )}
+                    </>
+                  ) : "—"}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function PlayerProfile({ player, recent, next, onOpenTeam }) {
+  const favs = useFavorites();
+  const photo = playerPhotoUrl(player.id);
+  const photoStatus = useImageStatus(photo);
+  const team = teamById(player.teamId);
+  const igUrl = instagramUrl(player.instagram);
+  const age = playerAge(player.birthYear);
+  const clubs = playerClubHistory(player.id);
+
+  const bio = [
+    ["Posisjon", player.position],
+    ["Drakt", player.jersey ? "#" + player.jersey : null],
+    ["Nasjonalitet", countryWithFlag(player.nationality)],
+    ["Høyde", player.heightCm ? player.heightCm + " cm" : null],
+    ["Født", player.birthYear],
+    ["Alder", age != null ? `ca. ${age} år` : null],
+  ].filter(([, v]) => v);
+
+  return (
+    <>
+      <div className="card">
+        <div className="profileHead">
+          <span className="logoBox playerPhotoBox profilePhoto" aria-hidden="true">
+            {(!photo || photoStatus !== "ok")
+              ? <span>{initials(player.name)}</span>
+              : <img src={photo} alt="" />}
+          </span>
+
+          <div className="nameBlock" style={{ display: "grid", gap: 8 }}>
+            <div className="name">{player.name}</div>
+            <dl className="profileBio">
+              {bio.map(([k, v]) => (
+                <div key={k}><dt>{k}</dt><dd>{v}</dd></div>
+              ))}
+            </dl>
+
+            {team && (
+              <button type="button" className="btn profileTeam" onClick={() => onOpenTeam(team)}>
+                <MiniLogo src={teamLogoUrl(team.sofascoreTeamId)} />
+                <span>
+                  {team.name}
+                  {team.league ? " · " + team.league : ""}
+                  {team.country ? " · " + countryWithFlag(team.country) : ""}
+                </span>
+              </button>
+            )}
+
+            <div className="meta" style={{ justifyContent: "flex-start" }}>
+              <StarButton
+                active={isFavoritePlayer(favs, player.id)}
+                onToggle={() => toggleFavoritePlayer(player.id)}
+                label={player.name}
+              />
+              {player.externalUrl && (
+                <a className="btn" href={player.externalUrl} target="_blank" rel="noreferrer">Volleybox →</a>
+              )}
+              {igUrl && (
+                <a className="btn" href={igUrl} target="_blank" rel="noreferrer">Instagram →</a>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {team && (
+        <div className="grid">
+          <ProfileMatchList
+            title="Neste kamper"
+            matches={next}
+            teamSofaId={team.sofascoreTeamId}
+            empty="Ingen kamper de neste dagene."
+          />
+          <ProfileMatchList
+            title="Siste resultater"
+            matches={recent}
+            teamSofaId={team.sofascoreTeamId}
+            empty="Ingen ferdigspilte kamper i perioden."
+          />
+        </div>
+      )}
+
+      <div className="card">
+        <div className="name">Klubbhistorikk</div>
+        {clubs.length === 0 ? (
+          <div className="sub">Ingen klubb registrert ennå.</div>
+        ) : (
+          <ol className="clubHistory">
+            {[...clubs].reverse().map((c, i) => {
+              const t = teamById(c.teamId);
+              return (
+                <li key={c.teamId + "-" + c.since}>
+                  <strong>{t?.name ?? c.teamName ?? "Ukjent lag"}</strong>
+                  {(t?.league ?? c.league) ? " · " + (t?.league ?? c.league) : ""}
+                  <span className="sub">
+                    {i === 0 ? "Nå" : "Tidligere"} · sett fra {new Date(c.since).toLocaleDateString("nb-NO")}
+                  </span>
+                </li>
+              );
+            })}
+          </ol>
+        )}
+        <div className="sub" style={{ marginTop: 8 }}>
+          Klubbytter oppdages når appen ser at spilleren har fått nytt lag.
+        </div>
+      </div>
+    </>
+  );
+}
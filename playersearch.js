@@ -0,0 +1,267 @@
+/* ===========================
+   Spillersøk med fasetter (Hub, Spillere-fanen)
+   ===========================
+   Filtrene ligger i URL-en sammen med søket, så et utvalg kan deles:
+   #/hub/players?q=&pos=&nat=&league=&cc=&hmin=&hmax=&bymin=&bymax=&nor=1&sort=
+
+   Antallet bak hver verdi er hvor mange treff man får ved å velge den,
+   gitt de andre filtrene (fasetten selv holdes utenfor).
+
+   Fritekstsøket går via search.js (folding, skrivefeil, rangering); med
+   søk sorteres det på beste treff hvis ikke annet er valgt.
+*/
+
+const PLAYER_FACETS = {
+  pos: { label: "Posisjon" },
+  nat: { label: "Nasjonalitet" },
+  league: { label: "Liga" },
+  cc: { label: "Klubbland" },
+};
+
+const PLAYER_SORTS = {
+  relevance: "Beste treff",
+  name: "Navn",
+  age: "Alder (yngst først)",
+  height: "Høyde (høyest først)",
+  league: "Liga",
+};
+
+// Fasettverdiene til en spiller; land slås sammen via ISO-kode (countries.js)
+function playerFacetValues(p) {
+  const team = teamById(p.teamId);
+  return {
+    pos: nonEmpty(p.position),
+    nat: countryIso(p.nationality) ?? nonEmpty(p.nationality),
+    league: nonEmpty(team?.league),
+    cc: countryIso(team?.country) ?? nonEmpty(team?.country),
+  };
+}
+
+function facetLabel(facet, value) {
+  if ((facet === "nat" || facet === "cc") && ISO_LABEL[value]) {
+    return `${isoToFlag(value)} ${ISO_LABEL[value]}`;
+  }
+  return value;
+}
+
+function parsePlayerFilters(query) {
+  const q = query || {};
+  return {
+    q: q.q || "",
+    pos: nonEmpty(q.pos),
+    nat: nonEmpty(q.nat),
+    league: nonEmpty(q.league),
+    cc: nonEmpty(q.cc),
+    hmin: asNum(q.hmin),
+    hmax: asNum(q.hmax),
+    bymin: asNum(q.bymin),
+    bymax: asNum(q.bymax),
+    nor: q.nor === "1",
+    sort: PLAYER_SORTS[q.sort] ? q.sort : defaultPlayerSort(q.q),
+  };
+}
+
+function defaultPlayerSort(q) {
+  return nonEmpty(q) ? "relevance" : "name";
+}
+
+/* Tilbake til query for buildHash; standardverdier utelates. */
+function playerFiltersToQuery(f) {
+  return {
+    q: f.q || null,
+    pos: f.pos, nat: f.nat, league: f.league, cc: f.cc,
+    hmin: f.hmin, hmax: f.hmax, bymin: f.bymin, bymax: f.bymax,
+    nor: f.nor ? "1" : null,
+    sort: f.sort === defaultPlayerSort(f.q) ? null : f.sort,
+  };
+}
+
+function hasPlayerFilters(f) {
+  return !!(f.pos || f.nat || f.league || f.cc || f.nor ||
+    f.hmin != null || f.hmax != null || f.bymin != null || f.bymax != null);
+}
+
+/* except: fasett som ikke skal brukes (for tellingen). */
+function playerPassesFilters(p, values, f, except) {
+  for (const facet of Object.keys(PLAYER_FACETS)) {
+    if (facet !== except && f[facet] && values[facet] !== f[facet]) return false;
+  }
+  if (f.nor && !isNorwegianPlayer(p)) return false;
+
+  if (f.hmin != null || f.hmax != null) {
+    const h = asNum(p.heightCm);
+    if (h == null || (f.hmin != null && h < f.hmin) || (f.hmax != null && h > f.hmax)) return false;
+  }
+  if (f.bymin != null || f.bymax != null) {
+    const by = asNum(p.birthYear);
+    if (by == null || (f.bymin != null && by < f.bymin) || (f.bymax != null && by > f.bymax)) return false;
+  }
+  return true;
+}
+
+function comparePlayers(sort) {
+  const byName = (a, b) => a.name.localeCompare(b.name, "nb");
+  // Manglende verdier sist
+  const byNum = (get, dir) => (a, b) => {
+    const x = asNum(get(a));
+    const y = asNum(get(b));
+    if (x == null || y == null) return (x == null) - (y == null) || byName(a, b);
+    return (x - y) * dir || byName(a, b);
+  };
+  if (sort === "age") return byNum(p => p.birthYear, -1);
+  if (sort === "height") return byNum(p => p.heightCm, -1);
+  if (sort === "league") {
+    return (a, b) => {
+      const x = asStr(teamById(a.teamId)?.league);
+      const y = asStr(teamById(b.teamId)?.league);
+      if (!x || !y) return (!x) - (!y) || byName(a, b);
+      return x.localeCompare(y, "nb") || byName(a, b);
+    };
+  }
+  return byName;
+}
+
+/*
+  Søker, filtrerer, sorterer og teller i én runde:
+  { players, counts: { pos: [{ value, label, count }], ... }, highlights: Map(id -> ranges) }
+*/
+function searchPlayers(players, f) {
+  const highlights = new Map();
+  let matched = players;
+  if (nonEmpty(f.q)) {
+    const hits = searchIndex(players.map(playerSearchEntry), f.q);
+    matched = hits.map(h => h.entry.item);
+    for (const h of hits) highlights.set(h.entry.id, h.ranges);
+  }
+  const rows = matched.map(p => ({ p, values: playerFacetValues(p) }));
+
+  const counts = {};
+  for (const facet of Object.keys(PLAYER_FACETS)) {
+    const m = new Map();
+    for (const r of rows) {
+      const v = r.values[facet];
+      if (!v || !playerPassesFilters(r.p, r.values, f, facet)) continue;
+      m.set(v, (m.get(v) || 0) + 1);
+    }
+    counts[facet] = [...m.entries()]
+      .map(([value, count]) => ({ value, count, label: facetLabel(facet, value) }))
+      .sort((a, b) => (b.count - a.count) || a.label.localeCompare(b.label, "nb"));
+  }
+
+  const filtered = rows.filter(r => playerPassesFilters(r.p, r.values, f, null)).map(r => r.p);
+  return {
+    // Treffene kommer allerede rangert fra searchIndex
+    players: f.sort === "relevance" && highlights.size ? filtered : filtered.sort(comparePlayers(f.sort)),
+    counts,
+    highlights,
+  };
+}
+
+/* ===========================
+   Visning
+   =========================== */
+function RangeInputs({ label, min, max, onChange, placeholderMin, placeholderMax }) {
+  return (
+    <label className="facetField">
+      <span className="settingsLabel">{label}</span>
+      <span className="facetRange">
+        <input
+          type="number"
+          value={min ?? ""}
+          placeholder={placeholderMin}
+          onChange={(e) => onChange(asNum(e.target.value), max)}
+        />
+        <span>–</span>
+        <input
+          type="number"
+          value={max ?? ""}
+          placeholder={placeholderMax}
+          onChange={(e) => onChange(min, asNum(e.target.value))}
+        />
+      </span>
+    </label>
+  );
+}
+
+function PlayerFacets({ filters, counts, total, onChange }) {
+  const set = (patch) => onChange({ ...filters, ...patch });
+  const year = new Date().getFullYear();
+
+  return (
+    <div className="card facetPanel">
+      {Object.entries(PLAYER_FACETS).map(([facet, def]) => (
+        <label key={facet} className="facetField">
+          <span className="settingsLabel">{def.label}</span>
+          <select value={filters[facet] ?? ""} onChange={(e) => set({ [facet]: e.target.value || null })}>
+            <option value="">Alle</option>
+            {/* Valgt verdi uten treff skal fortsatt vises */}
+            {filters[facet] && !counts[facet].some(c => c.value === filters[facet]) && (
+              <option value={filters[facet]}>{facetLabel(facet, filters[facet])} (0)</option>
+            )}
+            {counts[facet].map(c => (
+              <option key={c.value} value={c.value}>{c.label} ({c.count})</option>
+            ))}
+          </select>
+        </label>
+      ))}
+
+      <RangeInputs
+        label="Høyde (cm)"
+        min={filters.hmin}
+        max={filters.hmax}
+        placeholderMin="fra"
+        placeholderMax="til"
+        onChange={(hmin, hmax) => set({ hmin, hmax })}
+      />
+      <RangeInputs
+        label="Født (år)"
+        min={filters.bymin}
+        max={filters.bymax}
+        placeholderMin="fra"
+        placeholderMax="til"
+        onChange={(bymin, bymax) => set({ bymin, bymax })}
+      />
+      <label className="facetField">
+        <span className="settingsLabel">Alder</span>
+        <span className="facetRange">
+          {[["U19", 18], ["U21", 20], ["U23", 22]].map(([label, maxAge]) => (
+            <button
+              key={label}
+              type="button"
+              className={"badge filterBtn" + (filters.bymin === year - maxAge && filters.bymax == null ? " active" : "")}
+              onClick={() => set({ bymin: year - maxAge, bymax: null })}
+              title={`Født ${year - maxAge} eller senere`}
+            >
+              {label}
+            </button>
+          ))}
+        </span>
+      </label>
+
+      <label className="settingsFlag">
+        <input type="checkbox" checked={filters.nor} onChange={(e) => set({ nor: e.target.checked })} />
+        <span className="settingsLabel">Bare norske</span>
+      </label>
+
+      <label className="facetField">
+        <span className="settingsLabel">Sorter</span>
+        <select value={filters.sort} onChange={(e) => set({ sort: e.target.value })}>
+          {Object.entries(PLAYER_SORTS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </label>
+
+      <div className="facetFoot">
+        <span className="sub">{total} {total === 1 ? "spiller" : "spillere"}</span>
+        {hasPlayerFilters(filters) && (
+          <button
+            type="button"
+            className="btn"
+            onClick={() => onChange({ ...parsePlayerFilters({}), q: filters.q, sort: filters.sort })}
+          >
+            Nullstill filtre
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
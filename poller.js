@@ -0,0 +1,140 @@
+/* ===========================
+   Adaptiv polling
+   ===========================
+   Erstatter faste setInterval-løkker:
+   - skjult side (visibilityState) eller inaktiv visning (.view uten
+     "active"): idleMs, eller pause hvis idleMs er null
+   - isUrgent() (f.eks. settball i kampen i fokus): fastMs
+   - feil på rad: eksponentiell backoff fra baseMs opp til maxBackoffMs
+   - siden blir synlig / visningen aktiv igjen: henter med en gang
+
+   Inline-scriptet i index.html sender VIEW_CHANGE_EVENT når fanen byttes;
+   tabsync.js sender POLL_WAKE_EVENT når en annen nettleserfane trenger data.
+*/
+
+const VIEW_CHANGE_EVENT = "volley:viewchange";
+const POLL_WAKE_EVENT = "volley:pollwake";
+const POLL_MAX_BACKOFF_MS = 5 * 60 * 1000;
+
+function isPageVisible() {
+  return document.visibilityState !== "hidden";
+}
+
+function isViewActive(rootId) {
+  const el = document.getElementById(rootId);
+  return !el || el.classList.contains("active");
+}
+
+/*
+  opts:
+  - poll():        async; avvis (throw) ved feil så backoff slår inn
+  - baseMs:        normalt intervall
+  - fastMs:        intervall når isUrgent() er sann (valgfri)
+  - idleMs:        intervall når siden er skjult / visningen inaktiv; null = pause
+  - isActive():    er visningen aktiv? (valgfri)
+  - isDemanded():  trenger noen andre dataene selv om vi er inaktive?
+                   (andre faner, se tabsync.js; valgfri)
+  - isUrgent():    (valgfri)
+  - maxBackoffMs:  (standard POLL_MAX_BACKOFF_MS)
+  - immediate:     hent med en gang ved start() (standard true)
+
+  Returnerer { start(), stop(), kick(), refresh() }:
+  kick() henter nå, refresh() regner ut ventetiden på nytt (f.eks. når
+  isUrgent() kan ha endret seg).
+*/
+function createAdaptivePoller(opts) {
+  const maxBackoffMs = opts.maxBackoffMs ?? POLL_MAX_BACKOFF_MS;
+
+  let stopped = true;
+  let inFlight = false;
+  let failures = 0;
+  let timer = null;
+  let dueAt = 0;
+
+  function isIdle() {
+    const idleHere = !isPageVisible() || (opts.isActive ? !opts.isActive() : false);
+    return idleHere && !(opts.isDemanded && opts.isDemanded());
+  }
+
+  function nextDelay() {
+    if (isIdle()) return opts.idleMs ?? null;
+    if (failures > 0) return Math.min(opts.baseMs * Math.pow(2, failures), maxBackoffMs);
+    if (opts.fastMs && opts.isUrgent && opts.isUrgent()) return opts.fastMs;
+    return opts.baseMs;
+  }
+
+  function clear() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  function schedule() {
+    clear();
+    if (stopped) return;
+    const ms = nextDelay();
+    if (ms == null) return;
+    dueAt = Date.now() + ms;
+    timer = setTimeout(run, ms);
+  }
+
+  async function run() {
+    timer = null;
+    if (stopped || inFlight) return;
+    inFlight = true;
+    try {
+      await opts.poll();
+      failures = 0;
+    } catch (e) {
+      failures++;
+    } finally {
+      inFlight = false;
+    }
+    schedule();
+  }
+
+  function kick() {
+    if (stopped || inFlight) return;
+    clear();
+    run();
+  }
+
+  function refresh() {
+    if (stopped || inFlight) return;
+    const ms = nextDelay();
+    // Bare framskynd; ellers ville hyppige refresh() utsette neste henting
+    if (ms != null && timer && Date.now() + ms >= dueAt) return;
+    schedule();
+  }
+
+  function onWake() {
+    if (!isIdle()) kick();
+    else refresh();
+  }
+
+  // Andre faner melder behov jevnlig; hent bare med en gang hvis vi sto i pause
+  function onPeerWake() {
+    if (!timer && !isIdle()) kick();
+    else refresh();
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      document.addEventListener("visibilitychange", onWake);
+      window.addEventListener(VIEW_CHANGE_EVENT, onWake);
+      window.addEventListener(POLL_WAKE_EVENT, onPeerWake);
+      if (opts.immediate === false) schedule();
+      else run();
+    },
+    stop() {
+      stopped = true;
+      clear();
+      document.removeEventListener("visibilitychange", onWake);
+      window.removeEventListener(VIEW_CHANGE_EVENT, onWake);
+      window.removeEventListener(POLL_WAKE_EVENT, onPeerWake);
+    },
+    kick,
+    refresh,
+  };
+}
@@ -0,0 +1,362 @@
+/* ===========================
+   Opptak og avspilling av livekamper
+   ===========================
+   Opt-in: velg kamper i fokus-visningen (⏺ Ta opp). Hvert /live-snapshot
+   for valgte kamper lagres i IndexedDB, nøklet på recordingKey(ev).
+   Avspilling (#/live/replay/<key>) mater snapshotene tilbake gjennom
+   applyLive, så EventCard, server-rekker og blink oppfører seg som live.
+
+   IndexedDB "volley-recorder":
+   - recordings: { key, title, tournament, firstTs, lastTs, count }
+   - snapshots:  { id, key, ts, ev }  (indeks "key")
+*/
+
+const RECORDER_DB_NAME = "volley-recorder";
+const RECORDER_DB_VERSION = 1;
+const RECORDER_STORAGE_KEY = "volley.recorder.v1";
+
+// Pauser lenger enn dette (f.eks. mellom sett) spoles forbi ved avspilling
+const REPLAY_MAX_GAP_MS = 10000;
+const REPLAY_SPEEDS = [0.5, 1, 2, 4, 8, 16];
+
+/*
+  Samme nøkkel som liveEventKey i live.js; egen funksjon så opptakene ikke
+  er avhengige av live.js.
+*/
+function recordingKey(ev) {
+  const id = liveDeltaKey(ev);
+  if (id != null) return id;
+  return (
+    String(ev.start_ts ?? "") + "-" +
+    String(ev.home_team_name ?? "") + "-" +
+    String(ev.away_team_name ?? "")
+  );
+}
+
+/* ---- Hvilke kamper tas opp (localStorage, delt mellom faner) ---- */
+
+let recordKeysState = readRecordKeys();
+const recordKeysListeners = new Set();
+
+function readRecordKeys() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(RECORDER_STORAGE_KEY) || "null");
+    return Array.isArray(raw) ? raw.map(String) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeRecordKeys(next) {
+  recordKeysState = next;
+  try {
+    localStorage.setItem(RECORDER_STORAGE_KEY, JSON.stringify(next));
+  } catch (e) {
+    console.warn("Kunne ikke lagre opptaksvalg:", e);
+  }
+  recordKeysListeners.forEach(fn => fn(next));
+}
+
+function toggleRecordEvent(key) {
+  if (key == null || key === "") return;
+  writeRecordKeys(toggleInList(recordKeysState, String(key)));
+}
+
+function isRecordingEvent(keys, key) {
+  return key != null && keys.includes(String(key));
+}
+
+window.addEventListener("storage", (e) => {
+  if (e.key !== RECORDER_STORAGE_KEY) return;
+  recordKeysState = readRecordKeys();
+  recordKeysListeners.forEach(fn => fn(recordKeysState));
+});
+
+function useRecordKeys() {
+  const [keys, setKeys] = React.useState(() => recordKeysState);
+  React.useEffect(() => {
+    setKeys(recordKeysState);
+    recordKeysListeners.add(setKeys);
+    return () => recordKeysListeners.delete(setKeys);
+  }, []);
+  return keys;
+}
+
+/* ---- IndexedDB ---- */
+
+let recorderDbPromise = null;
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function openRecorderDb() {
+  if (recorderDbPromise) return recorderDbPromise;
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB støttes ikke i denne nettleseren"));
+  }
+
+  const req = indexedDB.open(RECORDER_DB_NAME, RECORDER_DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    if (!db.objectStoreNames.contains("recordings")) {
+      db.createObjectStore("recordings", { keyPath: "key" });
+    }
+    if (!db.objectStoreNames.contains("snapshots")) {
+      const store = db.createObjectStore("snapshots", { keyPath: "id", autoIncrement: true });
+      store.createIndex("key", "key");
+    }
+  };
+  recorderDbPromise = idbRequest(req).catch((e) => {
+    recorderDbPromise = null;
+    throw e;
+  });
+  return recorderDbPromise;
+}
+
+function txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/*
+  Lagrer snapshotet for hver valgt kamp i events. Kalles fra applyLive
+  med hele /live-payloaden; ingenting skjer hvis ingen kamper er valgt.
+*/
+async function recordLiveSnapshot(events) {
+  const keys = recordKeysState;
+  if (!keys.length || !Array.isArray(events)) return;
+
+  const chosen = events.filter(ev => ev && keys.includes(recordingKey(ev)));
+  if (!chosen.length) return;
+
+  try {
+    const db = await openRecorderDb();
+    const tx = db.transaction(["recordings", "snapshots"], "readwrite");
+    const recordings = tx.objectStore("recordings");
+    const snapshots = tx.objectStore("snapshots");
+    const ts = Date.now();
+
+    for (const ev of chosen) {
+      const key = recordingKey(ev);
+      snapshots.add({ key, ts, ev });
+
+      const prev = await idbRequest(recordings.get(key));
+      recordings.put({
+        key,
+        title: asStr(ev.home_team_name) + " – " + asStr(ev.away_team_name),
+        tournament: nonEmpty(ev.tournament_name),
+        firstTs: prev ? prev.firstTs : ts,
+        lastTs: ts,
+        count: (prev ? prev.count : 0) + 1,
+      });
+    }
+    await txDone(tx);
+  } catch (e) {
+    console.warn("Opptak feilet:", e);
+  }
+}
+
+async function listRecordings() {
+  const db = await openRecorderDb();
+  const rows = await idbRequest(db.transaction("recordings").objectStore("recordings").getAll());
+  return rows.sort((a, b) => b.lastTs - a.lastTs);
+}
+
+async function loadRecording(key) {
+  const db = await openRecorderDb();
+  const tx = db.transaction(["recordings", "snapshots"]);
+  const meta = await idbRequest(tx.objectStore("recordings").get(String(key)));
+  const frames = await idbRequest(tx.objectStore("snapshots").index("key").getAll(String(key)));
+  frames.sort((a, b) => a.ts - b.ts || a.id - b.id);
+  return { meta: meta || null, frames };
+}
+
+async function deleteRecording(key) {
+  const db = await openRecorderDb();
+  const tx = db.transaction(["recordings", "snapshots"], "readwrite");
+  tx.objectStore("recordings").delete(String(key));
+  const index = tx.objectStore("snapshots").index("key");
+  const ids = await idbRequest(index.getAllKeys(String(key)));
+  for (const id of ids) tx.objectStore("snapshots").delete(id);
+  await txDone(tx);
+}
+
+/* ---- Avspilling ---- */
+
+function replayClock(ts) {
+  if (!ts) return "—";
+  return new Date(ts).toLocaleTimeString("nb-NO", { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+}
+
+/*
+  Laster et opptak og spiller det av. onFrame(events) kalles med
+  [ev] for hvert snapshot (også ved scrubbing), i rekkefølge.
+*/
+function useReplay(key, onFrame) {
+  const [rec, setRec] = React.useState(null);
+  const [error, setError] = React.useState("");
+  const [index, setIndex] = React.useState(0);
+  const [playing, setPlaying] = React.useState(false);
+  const [speed, setSpeed] = React.useState(1);
+
+  const onFrameRef = React.useRef(onFrame);
+  onFrameRef.current = onFrame;
+
+  React.useEffect(() => {
+    let cancelled = false;
+    setRec(null);
+    setError("");
+    setIndex(0);
+    setPlaying(false);
+    if (!key) return;
+
+    loadRecording(key)
+      .then((r) => {
+        if (cancelled) return;
+        if (!r.frames.length) throw new Error("Opptaket er tomt");
+        setRec(r);
+      })
+      .catch((e) => {
+        if (!cancelled) setError(String((e && e.message) ? e.message : e));
+      });
+    return () => { cancelled = true; };
+  }, [key]);
+
+  const frames = rec ? rec.frames : [];
+  const frame = frames[index] || null;
+
+  React.useEffect(() => {
+    if (frame) onFrameRef.current([frame.ev]);
+  }, [frame]);
+
+  React.useEffect(() => {
+    if (!playing || !frames.length) return;
+    if (index >= frames.length - 1) {
+      setPlaying(false);
+      return;
+    }
+    const gap = Math.min(frames[index + 1].ts - frames[index].ts, REPLAY_MAX_GAP_MS);
+    const t = setTimeout(() => setIndex(i => i + 1), Math.max(0, gap) / speed);
+    return () => clearTimeout(t);
+  }, [playing, index, speed, frames]);
+
+  const play = React.useCallback(() => {
+    if (index >= frames.length - 1) setIndex(0);
+    setPlaying(true);
+  }, [index, frames.length]);
+
+  const pause = React.useCallback(() => setPlaying(false), []);
+
+  const seek = React.useCallback((i) => {
+    setIndex(Math.max(0, Math.min(frames.length - 1, Number(i) || 0)));
+  }, [frames.length]);
+
+  return { meta: rec ? rec.meta : null, frames, frame, index, playing, speed, error, loading: !rec && !error, play, pause, seek, setSpeed };
+}
+
+function ReplayControls({ replay, onClose }) {
+  const { meta, frames, frame, index, playing, speed } = replay;
+
+  return (
+    <div className="replayBar">
+      <div className="replayHead">
+        <span className="replayTag">▶ Avspilling</span>
+        <span className="replayTitle">{meta ? meta.title : ""}</span>
+        <button className="backBtn" onClick={onClose}>← Tilbake til live</button>
+      </div>
+
+      {replay.error && <div className="alert">Feil: {replay.error}</div>}
+      {replay.loading && <div style={{ color: "#6b7280" }}>Laster opptak…</div>}
+
+      {frames.length > 0 && (
+        <div className="replayControls">
+          <button
+            className="badge filterBtn"
+            onClick={playing ? replay.pause : replay.play}
+            aria-label={playing ? "Pause" : "Spill av"}
+          >
+            {playing ? "⏸" : "▶"}
+          </button>
+          <input
+            type="range"
+            className="replayScrub"
+            min={0}
+            max={frames.length - 1}
+            value={index}
+            onChange={(e) => replay.seek(e.target.value)}
+            aria-label="Spol i opptaket"
+          />
+          <span className="replayTime">
+            {replayClock(frame && frame.ts)} · {index + 1}/{frames.length}
+          </span>
+          <select
+            value={speed}
+            onChange={(e) => replay.setSpeed(Number(e.target.value))}
+            aria-label="Hastighet"
+          >
+            {REPLAY_SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RecordingsList({ onOpen, onClose }) {
+  const [rows, setRows] = React.useState(null);
+  const [error, setError] = React.useState("");
+
+  const reload = React.useCallback(() => {
+    listRecordings()
+      .then(setRows)
+      .catch((e) => setError(String((e && e.message) ? e.message : e)));
+  }, []);
+
+  React.useEffect(() => { reload(); }, [reload]);
+
+  const remove = async (key) => {
+    try {
+      await deleteRecording(key);
+    } catch (e) {
+      console.warn("Kunne ikke slette opptak:", e);
+    }
+    reload();
+  };
+
+  return (
+    <div className="replayBar">
+      <div className="replayHead">
+        <span className="replayTag">⏺ Opptak</span>
+        <button className="backBtn" onClick={onClose}>← Tilbake til live</button>
+      </div>
+
+      {error && <div className="alert">Feil: {error}</div>}
+      {rows && rows.length === 0 && (
+        <div style={{ color: "#6b7280" }}>
+          Ingen opptak ennå. Åpne en kamp i fokus og trykk «⏺ Ta opp».
+        </div>
+      )}
+
+      {rows && rows.map(r => (
+        <div key={r.key} className="replayRow">
+          <button className="replayOpen" onClick={() => onOpen(r.key)}>
+            <span className="replayTitle">{r.title}</span>
+            <span className="replayMeta">
+              {[r.tournament, new Date(r.firstTs).toLocaleDateString("nb-NO"), replayClock(r.firstTs) + "–" + replayClock(r.lastTs), r.count + " snapshots"].filter(Boolean).join(" · ")}
+            </span>
+          </button>
+          <button className="badge filterBtn" onClick={() => remove(r.key)} title="Slett opptaket">
+            🗑
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
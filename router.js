@@ -0,0 +1,94 @@
+/* ===========================
+   Hash-ruting
+   ===========================
+   Delbare lenker som overlever reload og fungerer med tilbake-knappen:
+
+   #/live                       Livescore, automatisk filter
+   #/live/<filter>              f.eks. #/live/abroad
+   #/live/<filter>/<eventId>    kamp i fokus
+   #/hub/players?q=...          Volley Hub, spillere (søk + fasetter, se playersearch.js)
+   #/hub/teams?q=...&filter=... Volley Hub, lagliste
+   #/hub/team/<teamId>          Volley Hub, ett lag
+   #/hub/player/<playerId>      Volley Hub, spillerprofil (playerprofile.js)
+   #/hub/standings/<turnering>?season=...&team=...
+                                Volley Hub, tabell (standings.js)
+   #/hub/compare?a=...&b=...    Volley Hub, innbyrdes oppgjør (headtohead.js)
+
+   Visningen (live/hub) byttes av det inline scriptet i index.html;
+   appene leser resten via useRoute().
+*/
+
+const routeListeners = new Set();
+
+function parseRoute(hash) {
+  const raw = String(hash || "").replace(/^#\/?/, "");
+  const qIdx = raw.indexOf("?");
+  const pathPart = qIdx >= 0 ? raw.slice(0, qIdx) : raw;
+  const queryPart = qIdx >= 0 ? raw.slice(qIdx + 1) : "";
+
+  const segs = pathPart.split("/").filter(Boolean).map(s => {
+    try { return decodeURIComponent(s); } catch (e) { return s; }
+  });
+
+  const query = {};
+  new URLSearchParams(queryPart).forEach((v, k) => { query[k] = v; });
+
+  return {
+    view: segs[0] === "hub" ? "hub" : "live",
+    segs: segs.slice(1),
+    query,
+  };
+}
+
+function buildHash(view, segs, query) {
+  const path = [view, ...(segs || [])]
+    .filter(s => s != null && s !== "")
+    .map(s => encodeURIComponent(String(s)))
+    .join("/");
+
+  const qs = new URLSearchParams();
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v != null && v !== "") qs.set(k, String(v));
+  }
+  const q = qs.toString();
+  return "#/" + path + (q ? "?" + q : "");
+}
+
+function currentRoute() {
+  return parseRoute(window.location.hash);
+}
+
+function notifyRoute() {
+  const route = currentRoute();
+  routeListeners.forEach(fn => fn(route));
+}
+
+/*
+  Navigerer til en ny hash. replace: true bytter ut historikk-innslaget
+  (brukes for søkefelt, så tilbake-knappen ikke går tegn for tegn).
+*/
+function navigate(hash, opts) {
+  if (window.location.hash === hash) return;
+  if (opts && opts.replace) {
+    window.history.replaceState(null, "", hash);
+    notifyRoute();
+  } else {
+    window.location.hash = hash;
+  }
+}
+
+function subscribeRoute(fn) {
+  routeListeners.add(fn);
+  return () => routeListeners.delete(fn);
+}
+
+window.addEventListener("hashchange", notifyRoute);
+
+function useRoute() {
+  const [route, setRoute] = React.useState(currentRoute);
+  React.useEffect(() => {
+    setRoute(currentRoute());
+    return subscribeRoute(setRoute);
+  }, []);
+  return route;
+}
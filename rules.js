@@ -0,0 +1,124 @@
+/* ===========================
+   Volleyball-regler
+   ===========================
+   Tellingen avhenger av format (per turnering eller per event):
+   - indoor: best av 5, sett til 25, femte sett (tie-break) til 15
+   - beach:  best av 3, sett til 21, tredje sett til 15
+   - youth:  best av 3, sett til 25, tredje sett til 15
+   Alltid minst to poengs margin.
+*/
+
+const SCORING_FORMATS = {
+  indoor: { key: "indoor", label: "Inne",   setsToWin: 3, setPoints: 25, decidingSetPoints: 15, minMargin: 2 },
+  beach:  { key: "beach",  label: "Sand",   setsToWin: 2, setPoints: 21, decidingSetPoints: 15, minMargin: 2 },
+  youth:  { key: "youth",  label: "Ungdom", setsToWin: 2, setPoints: 25, decidingSetPoints: 15, minMargin: 2 },
+};
+
+const DEFAULT_SCORING_FORMAT = SCORING_FORMATS.indoor;
+
+// Første treff vinner. Matcher mot turnering, sesong og sport/kategori.
+const SCORING_FORMAT_RULES = [
+  { format: "beach", match: /beach|sandvolleyball|\bsand\b/i },
+  { format: "youth", match: /\bu-?1[0-9]\b|junior|youth|ungdom/i },
+];
+
+/*
+  Finner format for et event. Tåler både rå /live- og /events-rader og
+  normaliserte hub-events. Et eksplisitt felt (scoring_format) vinner.
+*/
+function detectScoringFormat(ev) {
+  if (!ev) return DEFAULT_SCORING_FORMAT;
+
+  const explicit = asStr(ev.scoring_format ?? ev.scoringFormat).toLowerCase();
+  if (explicit && SCORING_FORMATS[explicit]) return SCORING_FORMATS[explicit];
+
+  const haystack = [
+    ev.sport_slug,
+    ev.tournament_name ?? ev.tournamentName ?? ev.tournament?.name,
+    ev.season_name ?? ev.seasonName ?? ev.season?.name,
+    ev.tournament?.category?.name,
+    ev.tournament?.category?.sport?.slug,
+  ].map(asStr).filter(Boolean).join(" ");
+
+  for (const rule of SCORING_FORMAT_RULES) {
+    if (rule.match.test(haystack)) return SCORING_FORMATS[rule.format];
+  }
+  return DEFAULT_SCORING_FORMAT;
+}
+
+function maxSets(fmt) {
+  return (fmt || DEFAULT_SCORING_FORMAT).setsToWin * 2 - 1;
+}
+
+function isTieBreakSet(setNo, fmt) {
+  return setNo === maxSets(fmt);
+}
+
+function setTargetPoints(setNo, fmt) {
+  const f = fmt || DEFAULT_SCORING_FORMAT;
+  return isTieBreakSet(setNo, f) ? f.decidingSetPoints : f.setPoints;
+}
+
+function setLabel(setNo, fmt) {
+  const f = fmt || DEFAULT_SCORING_FORMAT;
+  if (isTieBreakSet(setNo, f) && f.decidingSetPoints < f.setPoints) return "Tie-break";
+  return setNo + ". sett";
+}
+
+function isSetComplete(home, away, setNo, fmt) {
+  const f = fmt || DEFAULT_SCORING_FORMAT;
+  const h = Number(home ?? 0);
+  const a = Number(away ?? 0);
+  return Math.max(h, a) >= setTargetPoints(setNo, f) && Math.abs(h - a) >= f.minMargin;
+}
+
+function hasMatchWinner(homeSets, awaySets, fmt) {
+  const f = fmt || DEFAULT_SCORING_FORMAT;
+  return Number(homeSets ?? 0) >= f.setsToWin || Number(awaySets ?? 0) >= f.setsToWin;
+}
+
+/* Vinner siden settet på neste poeng? */
+function hasSetPoint(own, other, setNo, fmt) {
+  return !isSetComplete(own, other, setNo, fmt) && isSetComplete(own + 1, other, setNo, fmt);
+}
+
+/*
+  Situasjonen i settet som pågår.
+  { setNo, tieBreak, deuce, setPoint: "home"|"away"|null, matchPoint: "home"|"away"|null }
+  setPoint settes ikke når det er matchball (matchball er det sterkeste).
+*/
+function currentSetSituation(ev, p, fmt) {
+  const empty = { setNo: null, tieBreak: false, deuce: false, setPoint: null, matchPoint: null };
+  if (!p || !p.setNo || (p.home == null && p.away == null)) return empty;
+
+  const f = fmt || detectScoringFormat(ev);
+  const setNo = p.setNo;
+  const h = Number(p.home ?? 0);
+  const a = Number(p.away ?? 0);
+  const homeSets = Number(ev.home_sets ?? 0);
+  const awaySets = Number(ev.away_sets ?? 0);
+
+  const res = { ...empty, setNo, tieBreak: isTieBreakSet(setNo, f) };
+  if (isSetComplete(h, a, setNo, f)) return res;
+
+  const target = setTargetPoints(setNo, f);
+  res.deuce = h === a && h >= target - 1;
+
+  const side = hasSetPoint(h, a, setNo, f) ? "home" : (hasSetPoint(a, h, setNo, f) ? "away" : null);
+  if (side) {
+    const sets = side === "home" ? homeSets : awaySets;
+    if (sets === f.setsToWin - 1) res.matchPoint = side;
+    else res.setPoint = side;
+  }
+  return res;
+}
+
+/* Badges for UI: [{ key, text, side }] */
+function situationBadges(sit) {
+  const out = [];
+  if (sit.matchPoint) out.push({ key: "match-point", text: "Matchball", side: sit.matchPoint });
+  if (sit.setPoint) out.push({ key: "set-point", text: "Settball", side: sit.setPoint });
+  if (sit.deuce) out.push({ key: "deuce", text: "Deuce", side: null });
+  if (sit.tieBreak) out.push({ key: "tie-break", text: "Tie-break", side: null });
+  return out;
+}
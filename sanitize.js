@@ -0,0 +1,150 @@
+/* ===========================
+   Kampreferat: trygg HTML og tekst
+   ===========================
+   summary_html fra /events/:id/summary vises i Hub, og Hub bygges inn på
+   klubbsiden, så HTML-en vaskes mot en tillatelsesliste før den havner i
+   DOM-en:
+
+   - script, style, iframe, object, skjemaer o.l. fjernes med innhold
+   - ukjente tagger pakkes ut (teksten beholdes)
+   - bare attributtene i listen beholdes; on*-handlere, style, class og id
+     forsvinner
+   - lenker må være http(s)/mailto og åpnes i ny fane; bilder må være
+     http(s), og relative bilde-URL-er løses mot apiBase()
+
+   Ren tekst (summary) blir avsnitt: tom linje skiller avsnitt, enkel
+   linjeskift blir <br>.
+*/
+
+// Fjernes helt, med innhold
+const SANITIZE_DROP_TAGS = new Set([
+  "script", "style", "iframe", "frame", "frameset", "object", "embed", "applet",
+  "form", "input", "button", "textarea", "select", "option", "link", "meta", "base",
+  "svg", "math", "template", "noscript", "audio", "video", "source", "track", "canvas",
+]);
+
+// Tillatte tagger -> tillatte attributter
+const SANITIZE_ALLOWED = {
+  p: [], br: [], hr: [], div: [], span: [],
+  strong: [], b: [], em: [], i: [], u: [], s: [], small: [], sub: [], sup: [], mark: [],
+  h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: ["start"], li: [],
+  blockquote: [], figure: [], figcaption: [],
+  table: [], thead: [], tbody: [], tr: [], th: ["colspan", "rowspan"], td: ["colspan", "rowspan"],
+  abbr: ["title"],
+  a: ["href", "title"],
+  img: ["src", "alt", "title", "width", "height"],
+};
+
+const SANITIZE_LINK_PROTOCOLS = new Set(["http:", "https:", "mailto:"]);
+const SANITIZE_IMG_PROTOCOLS = new Set(["http:", "https:"]);
+
+/* Absolutt URL hvis protokollen er tillatt, ellers null. */
+function safeUrl(value, base, protocols) {
+  const raw = asStr(value);
+  if (!raw) return null;
+  try {
+    // URL-parseren fjerner tab/linjeskift/kontrolltegn, så "java\tscript:" blir fanget
+    const url = new URL(raw, base);
+    return protocols.has(url.protocol) ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function sanitizeElement(el, base) {
+  for (const child of [...el.childNodes]) {
+    if (child.nodeType === Node.TEXT_NODE) continue;
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      child.remove(); // kommentarer, CDATA, prosesseringsinstruksjoner
+      continue;
+    }
+
+    const tag = child.localName;
+    if (SANITIZE_DROP_TAGS.has(tag)) {
+      child.remove();
+      continue;
+    }
+
+    sanitizeElement(child, base);
+
+    const allowed = SANITIZE_ALLOWED[tag];
+    if (!allowed) {
+      child.replaceWith(...child.childNodes);
+      continue;
+    }
+
+    for (const attr of [...child.attributes]) {
+      if (!allowed.includes(attr.name)) child.removeAttribute(attr.name);
+    }
+
+    if (tag === "a") {
+      const href = safeUrl(child.getAttribute("href"), base, SANITIZE_LINK_PROTOCOLS);
+      if (!href) {
+        child.removeAttribute("href");
+      } else {
+        child.setAttribute("href", href);
+        child.setAttribute("target", "_blank");
+        child.setAttribute("rel", "noopener noreferrer");
+      }
+    }
+
+    if (tag === "img") {
+      const src = safeUrl(child.getAttribute("src"), base, SANITIZE_IMG_PROTOCOLS);
+      if (!src) {
+        child.remove();
+        continue;
+      }
+      child.setAttribute("src", src);
+      child.setAttribute("loading", "lazy");
+    }
+  }
+}
+
+/* Vasket HTML som streng; tom streng hvis ingenting er igjen. */
+function sanitizeSummaryHtml(html, base) {
+  const src = asStr(html);
+  if (!src) return "";
+  // DOMParser-dokumenter er inerte: ingen script kjøres og ingen bilder lastes mens vi vasker
+  const doc = new DOMParser().parseFromString(src, "text/html");
+  sanitizeElement(doc.body, (base ?? apiBase()).replace(/\/*$/, "/"));
+  const hasContent = doc.body.textContent.trim() || doc.body.querySelector("img");
+  return hasContent ? doc.body.innerHTML.trim() : "";
+}
+
+/* Avsnitt av ren tekst: [["linje", "linje"], ...] */
+function textParagraphs(text) {
+  return asStr(text)
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n+/)
+    .map(p => p.split("\n").map(line => line.trim()).filter(Boolean))
+    .filter(lines => lines.length);
+}
+
+/* ===========================
+   Visning
+   =========================== */
+/* Vasket HTML hvis den har innhold, ellers teksten som avsnitt, ellers empty. */
+function MatchStory({ html, text, empty }) {
+  const clean = React.useMemo(() => (html ? sanitizeSummaryHtml(html) : ""), [html]);
+  const paragraphs = React.useMemo(() => (clean ? [] : textParagraphs(text)), [clean, text]);
+
+  if (clean) {
+    return <div className="matchStory" dangerouslySetInnerHTML={{ __html: clean }} />;
+  }
+  if (!paragraphs.length) return empty ?? null;
+  return (
+    <div className="matchStory">
+      {paragraphs.map((lines, i) => (
+        <p key={i}>
+          {lines.map((line, j) => (
+            <React.Fragment key={j}>
+              {j > 0 && <br />}
+              {line}
+            </React.Fragment>
+          ))}
+        </p>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,290 @@
+/* ===========================
+   Søk: folding, typo-toleranse og rangering
+   ===========================
+   Felles søkeindeks over lag, spillere, ligaer og turneringer (Hub).
+
+   - foldText: små bokstaver, æ/ø/å -> ae/o/a, aksenter fjernes
+     ("Sorum" finner "Sørum", "Munchen" finner "München")
+   - Hvert ord i søket må treffe et felt: helt felt > starten av feltet >
+     starten av et ord > inni et ord > skrivefeil (1 feil fra 4 tegn,
+     2 fra 8). Navnefeltet teller mest.
+   - Treffene kommer med tegnposisjoner i originalteksten (<Highlight>).
+*/
+
+const SEARCH_SCORES = { exact: 100, prefix: 90, wordPrefix: 80, substring: 60, typo: 40 };
+
+const FOLD_MAP = { "æ": "ae", "ø": "o", "å": "a", "ß": "ss", "œ": "oe", "ł": "l", "đ": "d", "ı": "i" };
+
+/* { text, map }: map[i] er posisjonen i originalen til tegn i i text. */
+function foldWithMap(s) {
+  const src = asStr(s);
+  let text = "";
+  const map = [];
+  for (let i = 0; i < src.length; i++) {
+    const lower = src[i].toLowerCase();
+    const folded = FOLD_MAP[lower] ?? lower.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    for (const ch of folded) {
+      text += ch;
+      map.push(i);
+    }
+  }
+  return { text, map };
+}
+
+function foldText(s) {
+  return foldWithMap(s).text;
+}
+
+function searchTokens(query) {
+  return foldText(query).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Optimal string alignment (Levenshtein + bytte av to nabotegn), stopper over max
+function typoDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      cur.push(d);
+      rowMin = Math.min(rowMin, d);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function allowedTypos(token) {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+function prepareField(text) {
+  const { text: folded, map } = foldWithMap(text);
+  const words = [];
+  const re = /[a-z0-9]+/g;
+  let m;
+  while ((m = re.exec(folded))) words.push({ start: m.index, end: m.index + m[0].length, text: m[0] });
+  return { raw: asStr(text), folded, map, words };
+}
+
+/* Beste treff for ett søkeord i ett felt: { score, start, end } (foldet), eller null. */
+function matchToken(field, token) {
+  const f = field.folded;
+  if (!f) return null;
+  if (f === token) return { score: SEARCH_SCORES.exact, start: 0, end: f.length };
+  if (f.startsWith(token)) return { score: SEARCH_SCORES.prefix, start: 0, end: token.length };
+
+  const word = field.words.find(w => w.text.startsWith(token));
+  if (word) return { score: SEARCH_SCORES.wordPrefix, start: word.start, end: word.start + token.length };
+
+  const at = f.indexOf(token);
+  if (at >= 0) return { score: SEARCH_SCORES.substring, start: at, end: at + token.length };
+
+  const max = allowedTypos(token);
+  if (!max) return null;
+  let best = null;
+  for (const w of field.words) {
+    // Hele ordet, eller starten av det (mens man skriver)
+    const d = Math.min(
+      typoDistance(token, w.text, max),
+      w.text.length > token.length ? typoDistance(token, w.text.slice(0, token.length), max) : max + 1
+    );
+    if (d <= max && (!best || d < best.d)) best = { d, start: w.start, end: w.end };
+  }
+  return best ? { score: SEARCH_SCORES.typo - (best.d - 1) * 10, start: best.start, end: best.end } : null;
+}
+
+function toOriginalRange(field, start, end) {
+  return [field.map[start], field.map[end - 1] + 1];
+}
+
+function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const out = [];
+  for (const r of sorted) {
+    const last = out[out.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else out.push([...r]);
+  }
+  return out;
+}
+
+/*
+  entry: { kind, id, item, name, fields: { key: prepared } , weights: { key: n } }
+  -> { entry, score, ranges: { key: [[start, end], ...] } } eller null
+*/
+function scoreEntry(entry, tokens) {
+  let total = 0;
+  const ranges = {};
+  for (const token of tokens) {
+    let best = null;
+    for (const [key, field] of Object.entries(entry.fields)) {
+      const m = matchToken(field, token);
+      if (!m) continue;
+      const score = m.score * (entry.weights[key] ?? 0.5);
+      if (!best || score > best.score) best = { key, score, m };
+    }
+    if (!best) return null;
+    total += best.score;
+    const field = entry.fields[best.key];
+    (ranges[best.key] = ranges[best.key] || []).push(toOriginalRange(field, best.m.start, best.m.end));
+  }
+  for (const key of Object.keys(ranges)) ranges[key] = mergeRanges(ranges[key]);
+  return { entry, score: total / tokens.length, ranges };
+}
+
+/* ===========================
+   Indeks
+   =========================== */
+function searchEntry(kind, id, item, fields, weights) {
+  const prepared = {};
+  for (const [key, text] of Object.entries(fields)) {
+    if (nonEmpty(text)) prepared[key] = prepareField(text);
+  }
+  return { kind, id, item, name: asStr(fields.name), fields: prepared, weights: { name: 1, ...weights } };
+}
+
+// Lag/spillere er nye objekter for hver lasting av datalaget, så de kan caches per objekt
+const searchEntryCache = new WeakMap();
+
+function cachedSearchEntry(item, build) {
+  let entry = searchEntryCache.get(item);
+  if (!entry) {
+    entry = build();
+    searchEntryCache.set(item, entry);
+  }
+  return entry;
+}
+
+function teamSearchEntry(t) {
+  return cachedSearchEntry(t, () => searchEntry("team", t.id, t, {
+    name: t.name,
+    league: t.league,
+    country: t.country,
+    widget: t.widgetName,
+  }, { league: 0.6, country: 0.5, widget: 0.4 }));
+}
+
+function playerSearchEntry(p) {
+  return cachedSearchEntry(p, () => {
+    const team = teamById(p.teamId);
+    return searchEntry("player", p.id, p, {
+      name: p.name,
+      nationality: p.nationality,
+      team: team?.name,
+      league: team?.league,
+    }, { nationality: 0.5, team: 0.6, league: 0.4 });
+  });
+}
+
+/* Lag, spillere, ligaer og turneringer (fra kampene). events: normaliserte. */
+function buildSearchIndex(state, events) {
+  const entries = [
+    ...state.teams.map(teamSearchEntry),
+    ...state.players.map(playerSearchEntry),
+  ];
+
+  const leagues = new Map();
+  for (const t of state.teams) {
+    if (!t.league) continue;
+    const l = leagues.get(t.league) || { name: t.league, country: t.country, teams: 0 };
+    l.teams++;
+    leagues.set(t.league, l);
+  }
+  for (const l of leagues.values()) {
+    entries.push(searchEntry("league", l.name, l, { name: l.name, country: l.country }, { country: 0.5 }));
+  }
+
+  const tournaments = new Map();
+  for (const e of safeArray(events)) {
+    const key = standingsTournamentKey(e);
+    if (!key || !asStr(e.tournamentName)) continue;
+    if (!tournaments.has(key)) {
+      tournaments.set(key, { key, name: asStr(e.tournamentName), seasonName: asStr(e.seasonName), sample: e });
+    }
+  }
+  for (const t of tournaments.values()) {
+    entries.push(searchEntry("tournament", t.key, t, { name: t.name, season: t.seasonName }, { season: 0.3 }));
+  }
+
+  return entries;
+}
+
+/*
+  Kamper Hub allerede har hentet (kommende + ferdige), slik at turneringer
+  kan søkes fra begge visningene. Settes av hub.js.
+*/
+let searchEvents = [];
+const searchEventsListeners = new Set();
+
+function setSearchEvents(events) {
+  searchEvents = safeArray(events);
+  searchEventsListeners.forEach(fn => fn(searchEvents));
+}
+
+function useSearchEvents() {
+  const [events, setEvents] = React.useState(searchEvents);
+  React.useEffect(() => {
+    setEvents(searchEvents);
+    searchEventsListeners.add(setEvents);
+    return () => searchEventsListeners.delete(setEvents);
+  }, []);
+  return events;
+}
+
+/* Rangerte treff; opts.kinds begrenser til noen typer, opts.limit kutter. */
+function searchIndex(index, query, opts) {
+  const tokens = searchTokens(query);
+  if (!tokens.length) return [];
+  const kinds = opts?.kinds ? new Set(opts.kinds) : null;
+
+  const hits = [];
+  for (const entry of index) {
+    if (kinds && !kinds.has(entry.kind)) continue;
+    const hit = scoreEntry(entry, tokens);
+    if (hit) hits.push(hit);
+  }
+  hits.sort((a, b) => (b.score - a.score) || a.entry.name.localeCompare(b.entry.name, "nb"));
+  return opts?.limit ? hits.slice(0, opts.limit) : hits;
+}
+
+/* ===========================
+   Markering
+   =========================== */
+function Highlight({ text, ranges }) {
+  const s = asStr(text);
+  if (!ranges || !ranges.length) return s;
+
+  const parts = [];
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    if (start > pos) parts.push(s.slice(pos, start));
+    parts.push(<mark key={start} className="hl">{s.slice(start, end)}</mark>);
+    pos = end;
+  }
+  if (pos < s.length) parts.push(s.slice(pos));
+  return <>{parts}</>;
+}
+
+/* parts: [{ text, ranges, prefix }] -> tekstene skilt med " · ", tomme hoppes over. */
+function HighlightJoin({ parts }) {
+  const shown = parts.filter(p => nonEmpty(p.text));
+  return shown.map((p, i) => (
+    <React.Fragment key={i}>
+      {i > 0 && " · "}
+      {p.prefix}
+      <Highlight text={p.text} ranges={p.ranges} />
+    </React.Fragment>
+  ));
+}
@@ -0,0 +1,137 @@
+/* ===========================
+   Innstillingspanel
+   ===========================
+   ⚙️-knapp ved siden av tema-knappen. Redigerer innstillingene i config.js
+   (API-host, polling, tidsvinduer) og feature-flaggene i flags.js.
+   Endringer lagres i localStorage og tas i bruk med en gang.
+*/
+
+function SettingField({ name, def, value }) {
+  const [draft, setDraft] = React.useState(String(value ?? ""));
+  const [invalid, setInvalid] = React.useState(false);
+
+  React.useEffect(() => {
+    setDraft(String(value ?? ""));
+    setInvalid(false);
+  }, [value]);
+
+  const commit = () => {
+    const ok = setSetting(name, draft);
+    setInvalid(!ok);
+    // Tall kan ha blitt justert til min/maks
+    if (ok) setDraft(String(getSetting(name) ?? ""));
+  };
+
+  const isNumber = def.type === "number";
+
+  if (def.type === "select") {
+    return (
+      <label className="settingsField">
+        <span className="settingsLabel">{def.label}</span>
+        <select value={value} onChange={(e) => setSetting(name, e.target.value)}>
+          {Object.entries(def.options).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        {def.desc && <span className="settingsDesc">{def.desc}</span>}
+      </label>
+    );
+  }
+
+  return (
+    <label className="settingsField">
+      <span className="settingsLabel">{def.label}</span>
+      <input
+        className={invalid ? "invalid" : ""}
+        type={isNumber ? "number" : "url"}
+        min={isNumber ? def.min : undefined}
+        max={isNumber ? def.max : undefined}
+        value={draft}
+        placeholder={isNumber ? String(def.default) : DEFAULT_API_BASE}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => { if (e.key === "Enter") commit(); }}
+      />
+      {invalid && (
+        <span className="settingsError">
+          {isNumber ? `Må være et tall (${def.min}–${def.max})` : "Må starte med http:// eller https://"}
+        </span>
+      )}
+      {def.desc && <span className="settingsDesc">{def.desc}</span>}
+    </label>
+  );
+}
+
+function SettingsPanel() {
+  const [open, setOpen] = React.useState(false);
+  const settings = useSettings();
+  const flags = useFeatureFlags();
+
+  React.useEffect(() => {
+    if (!open) return;
+    const onKey = (e) => { if (e.key === "Escape") setOpen(false); };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [open]);
+
+  return (
+    <>
+      <button
+        type="button"
+        className={"tabBtn" + (open ? " active" : "")}
+        aria-expanded={open}
+        onClick={() => setOpen(o => !o)}
+      >
+        ⚙️ Innstillinger
+      </button>
+
+      {open && (
+        <div className="settingsPanel" role="dialog" aria-label="Innstillinger">
+          <div className="settingsHead">
+            <strong>Innstillinger</strong>
+            <button type="button" className="btn" aria-label="Lukk" onClick={() => setOpen(false)}>✕</button>
+          </div>
+
+          {API_OVERRIDE && (
+            <div className="settingsNote">
+              Adressen har ?api=, så API-et er nå {API_OVERRIDE}.
+            </div>
+          )}
+
+          {Object.entries(RUNTIME_SETTINGS).map(([name, def]) => (
+            <SettingField key={name} name={name} def={def} value={settings[name]} />
+          ))}
+
+          <div className="settingsSection">Eksperimenter</div>
+          {Object.entries(FEATURE_FLAGS).map(([name, def]) => (
+            <label key={name} className="settingsFlag">
+              <input
+                type="checkbox"
+                checked={!!flags[name]}
+                onChange={(e) => setFeatureFlag(name, e.target.checked)}
+              />
+              <span>
+                <span className="settingsLabel">{def.label}</span>
+                <span className="settingsDesc">{def.desc}</span>
+              </span>
+            </label>
+          ))}
+
+          <div className="settingsActions">
+            <button
+              type="button"
+              className="btn"
+              onClick={() => { resetSettings(); resetFeatureFlags(); }}
+            >
+              Tilbakestill til standard
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+
+if (!document.body.classList.contains("overlayMode")) {
+  ReactDOM.createRoot(document.getElementById("settings-root")).render(<SettingsPanel />);
+}
@@ -0,0 +1,283 @@
+/* ===========================
+   Tabeller (Hub)
+   ===========================
+   Tabell per turnering + sesong, regnet ut fra ferdigspilte kamper:
+   kamper, seire/tap, settkvote, poengkvote og tabellpoeng etter
+   poengskalaen i innstillingene (standingsScheme, se config.js).
+
+   #/hub/standings/<turnering>?season=<sesong>&team=<SofaScore-id>
+   <turnering> er tournament_id, eller turneringsnavnet når id mangler;
+   team markerer laget man kom fra.
+
+   Hub har bare siste LOOKBACK-dager med kamper, så visningen henter
+   hele sesongen (/events, side for side) når den åpnes.
+*/
+
+// Seier/tap med og uten avgjørende sett (3-2 / 2-3 i innendørs)
+const STANDINGS_SCHEMES = {
+  fivb: { win: 3, tieBreakWin: 2, tieBreakLoss: 1, loss: 0 },
+  win2: { win: 2, tieBreakWin: 2, tieBreakLoss: 0, loss: 0 },
+  win3: { win: 3, tieBreakWin: 3, tieBreakLoss: 0, loss: 0 },
+};
+
+function standingsTournamentKey(e) {
+  return nonEmpty(e.tournamentId) ?? nonEmpty(e.tournamentName);
+}
+
+function standingsHash(e, teamSofaId) {
+  const key = standingsTournamentKey(e);
+  if (!key) return null;
+  return buildHash("hub", ["standings", key], {
+    season: nonEmpty(e.seasonName),
+    team: teamSofaId ?? null,
+  });
+}
+
+function isStandingsEvent(e, key, season) {
+  if (asStr(e.tournamentId) !== key && asStr(e.tournamentName) !== key) return false;
+  return !season || asStr(e.seasonName) === season;
+}
+
+/*
+  Tidsrom (sekunder) for en sesong: "24/25", "2024/25" og "2024/2025" gir
+  1. juli–30. juni, "2025" gir kalenderåret. Ukjent: siste 365 dager.
+  Aldri lenger frem enn nå (bare ferdige kamper teller).
+*/
+function seasonRange(seasonName) {
+  const nowTs = Math.floor(Date.now() / 1000);
+  const name = asStr(seasonName);
+  const toYear = (y) => (y.length === 2 ? 2000 + Number(y) : Number(y));
+
+  let fromTs = nowTs - 365 * 24 * 3600;
+  let toTs = nowTs;
+
+  const split = name.match(/(\d{2}|\d{4})\s*[/-]\s*(\d{2}|\d{4})/);
+  const single = name.match(/\b(?:19|20)\d{2}\b/);
+  if (split) {
+    const start = toYear(split[1]);
+    fromTs = Date.UTC(start, 6, 1) / 1000;
+    toTs = Date.UTC(start + 1, 5, 30, 23, 59, 59) / 1000;
+  } else if (single) {
+    const year = Number(single[0]);
+    fromTs = Date.UTC(year, 0, 1) / 1000;
+    toTs = Date.UTC(year, 11, 31, 23, 59, 59) / 1000;
+  }
+
+  return { fromTs, toTs: Math.min(toTs, nowTs) };
+}
+
+function standingsRatio(won, lost) {
+  if (lost === 0) return won > 0 ? Infinity : 0;
+  return won / lost;
+}
+
+function formatRatio(r) {
+  return r === Infinity ? "MAX" : r.toFixed(3);
+}
+
+/*
+  events: normaliserte kamper (normalizeEvent), hver kamp én gang.
+  Uferdige kamper og kamper uten vinner hoppes over.
+  Sortering: tabellpoeng, seire, settkvote, poengkvote.
+*/
+function computeStandings(events, scheme) {
+  const rows = new Map();
+
+  const rowFor = (id, name) => {
+    const key = id ?? name;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        teamId: id, name,
+        played: 0, won: 0, lost: 0,
+        setsWon: 0, setsLost: 0,
+        pointsWon: 0, pointsLost: 0,
+        points: 0,
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const e of events) {
+    if (!isFinished(e.raw)) continue;
+    const hs = e.score.homeSets;
+    const as = e.score.awaySets;
+    if (hs === as) continue;
+
+    const home = rowFor(e.homeId, e.homeName);
+    const away = rowFor(e.awayId, e.awayName);
+    const decidingSet = hs + as >= maxSets(e.format);
+    const homeWon = hs > as;
+
+    let homePts = 0;
+    let awayPts = 0;
+    for (const s of e.score.sets) {
+      homePts += s.home ?? 0;
+      awayPts += s.away ?? 0;
+    }
+
+    for (const [r, won, sf, sa, pf, pa] of [
+      [home, homeWon, hs, as, homePts, awayPts],
+      [away, !homeWon, as, hs, awayPts, homePts],
+    ]) {
+      r.played++;
+      if (won) r.won++;
+      else r.lost++;
+      r.setsWon += sf;
+      r.setsLost += sa;
+      r.pointsWon += pf;
+      r.pointsLost += pa;
+      r.points += won
+        ? (decidingSet ? scheme.tieBreakWin : scheme.win)
+        : (decidingSet ? scheme.tieBreakLoss : scheme.loss);
+    }
+  }
+
+  return [...rows.values()]
+    .map(r => ({
+      ...r,
+      setsRatio: standingsRatio(r.setsWon, r.setsLost),
+      pointsRatio: standingsRatio(r.pointsWon, r.pointsLost),
+    }))
+    .sort((a, b) =>
+      (b.points - a.points) ||
+      (b.won - a.won) ||
+      (b.setsRatio - a.setsRatio) ||
+      (b.pointsRatio - a.pointsRatio) ||
+      a.name.localeCompare(b.name, "nb")
+    );
+}
+
+/* ===========================
+   Visning
+   =========================== */
+
+/* Merke for tall regnet ut fra en avkuttet fetchEventsRange (datastore.js). */
+function TruncatedMarker({ truncated }) {
+  if (!truncated) return null;
+  return (
+    <div className="staleMarker" title={`API-et ga flere enn ${EVENTS_MAX_PAGES * EVENTS_PAGE_SIZE} kamper for perioden`}>
+      ⚠ Ufullstendig – ikke alle kamper i perioden kom med
+    </div>
+  );
+}
+
+function StandingsView({ tournamentKey, season, highlightTeamId, events }) {
+  const settings = useSettings();
+  const [seasonEvents, setSeasonEvents] = React.useState(null);
+  const [truncated, setTruncated] = React.useState(false);
+  const [loading, setLoading] = React.useState(false);
+  const [error, setError] = React.useState("");
+
+  React.useEffect(() => {
+    if (!tournamentKey) return;
+    const controller = new AbortController();
+    const { fromTs, toTs } = seasonRange(season);
+
+    setSeasonEvents(null);
+    setTruncated(false);
+    setError("");
+    setLoading(true);
+    fetchEventsRange(fromTs, toTs, controller.signal)
+      .then(({ rows, truncated }) => {
+        setSeasonEvents(rows.map(r => normalizeEvent(r)));
+        setTruncated(truncated);
+      })
+      .catch((e) => {
+        if (String(e && e.name) === "AbortError") return;
+        console.warn("Sesongkamper feilet:", e);
+        setError(String(e?.message ?? e));
+      })
+      .finally(() => setLoading(false));
+
+    return () => controller.abort();
+  }, [tournamentKey, season, settings.apiBase]);
+
+  // Sesonghentingen og Hubs egne lister overlapper; én per kamp
+  const matches = React.useMemo(() => {
+    const byId = new Map();
+    for (const e of [...(seasonEvents || []), ...safeArray(events)]) {
+      if (!isFinished(e.raw) || !isStandingsEvent(e, tournamentKey, season)) continue;
+      byId.set(e.eventId ?? `${e.homeName}|${e.awayName}|${e.startTs}`, e);
+    }
+    return [...byId.values()];
+  }, [seasonEvents, events, tournamentKey, season]);
+
+  const scheme = STANDINGS_SCHEMES[settings.standingsScheme] || STANDINGS_SCHEMES.fivb;
+  const table = React.useMemo(() => computeStandings(matches, scheme), [matches, scheme]);
+
+  const sample = matches[0];
+  const title = sample
+    ? [asStr(sample.tournamentName), asStr(sample.seasonName)].filter(Boolean).join(" · ")
+    : [tournamentKey, season].filter(Boolean).join(" · ");
+
+  return (
+    <div className="card standingsCard">
+      <div className="standingsHead">
+        <div>
+          <div className="name">📊 {title || "Tabell"}</div>
+          <div className="sub">
+            {loading
+              ? `Henter hele sesongen… (viser siste ${settings.lookbackDays} dager så lenge)`
+              : (seasonEvents ? "Hele sesongen" : `Siste ${settings.lookbackDays} dager`)}
+            {" · "}{table.length ? `${matches.length} ${matches.length === 1 ? "kamp" : "kamper"}` : "ingen ferdigspilte kamper"}
+          </div>
+          <TruncatedMarker truncated={truncated} />
+        </div>
+        <select
+          value={settings.standingsScheme}
+          onChange={(e) => setSetting("standingsScheme", e.target.value)}
+          aria-label={RUNTIME_SETTINGS.standingsScheme.label}
+        >
+          {Object.entries(RUNTIME_SETTINGS.standingsScheme.options).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="alert">Kunne ikke hente hele sesongen: {error}</div>}
+
+      {table.length > 0 && (
+        <div className="standingsScroll">
+          <table className="standingsTable">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th className="teamCol">Lag</th>
+                <th title="Kamper">K</th>
+                <th title="Seire">V</th>
+                <th title="Tap">T</th>
+                <th title="Sett vunnet–tapt">Sett</th>
+                <th title="Settkvote">SK</th>
+                <th title="Ballpoeng vunnet–tapt">Ballp.</th>
+                <th title="Poengkvote">PK</th>
+                <th title="Tabellpoeng">P</th>
+              </tr>
+            </thead>
+            <tbody>
+              {table.map((r, i) => {
+                const team = teamBySofaId(r.teamId);
+                const isHighlighted = highlightTeamId != null && String(r.teamId) === String(highlightTeamId);
+                return (
+                  <tr key={r.teamId ?? r.name} className={isHighlighted ? "highlight" : ""}>
+                    <td>{i + 1}</td>
+                    <td className="teamCol">
+                      {team ? <a href={buildHash("hub", ["team", team.id])}>{r.name}</a> : r.name}
+                    </td>
+                    <td>{r.played}</td>
+                    <td>{r.won}</td>
+                    <td>{r.lost}</td>
+                    <td>{r.setsWon}–{r.setsLost}</td>
+                    <td>{formatRatio(r.setsRatio)}</td>
+                    <td>{r.pointsWon}–{r.pointsLost}</td>
+                    <td>{formatRatio(r.pointsRatio)}</td>
+                    <td className="pointsCol">{r.points}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+/* ===========================
+   Service worker (se offline.js)
+   ===========================
+   - App-skallet (SHELL_FILES + React/Babel fra unpkg): svar fra cachen med
+     en gang og oppdater i bakgrunnen; nye versjoner vises ved neste lasting.
+     Nye scripts i index.html må også inn i SHELL_FILES.
+   - API-data (DATA_PATHS): nettet først; siste vellykkede svar lagres og
+     brukes når nettet er borte, merket med X-Volley-Stale og
+     X-Volley-Cached-At.
+   - Alt annet (bl.a. /live/stream og /events-lister) går rett til nettet.
+   - Kampvarsler vises herfra (se notifications.js); klikk på et varsel
+     henter frem en åpen fane, eller åpner appen.
+
+   Vanlig script (ikke Babel): kjører i service worker-scope.
+*/
+
+const SHELL_CACHE = "volley-shell-v11";
+const DATA_CACHE = "volley-data-v1";
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "icon.svg",
+  "config.js",
+  "offline.js",
+  "flags.js",
+  "settings.js",
+  "poller.js",
+  "tabsync.js",
+  "livefeed.js",
+  "favorites.js",
+  "rules.js",
+  "datastore.js",
+  "countries.js",
+  "search.js",
+  "sanitize.js",
+  "notifications.js",
+  "router.js",
+  "recorder.js",
+  "standings.js",
+  "headtohead.js",
+  "teamform.js",
+  "ics.js",
+  "playerprofile.js",
+  "playersearch.js",
+  "live.js",
+  "hub.js",
+  "palette.js",
+  "overlay.js",
+];
+
+const CDN_FILES = [
+  "https://unpkg.com/react@18/umd/react.development.js",
+  "https://unpkg.com/react-dom@18/umd/react-dom.development.js",
+  "https://unpkg.com/@babel/standalone/babel.min.js",
+];
+
+const SHELL_URLS = new Set(SHELL_FILES.map(f => new URL(f, self.location).href));
+
+const DATA_PATHS = [
+  /^\/live$/,
+  /^\/teams$/,
+  /^\/players$/,
+  /^\/events\/[^/]+\/summary$/,
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll([...SHELL_FILES, ...CDN_FILES]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(k => k !== SHELL_CACHE && k !== DATA_CACHE).map(k => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isShellRequest(url) {
+  if (CDN_FILES.includes(url.href)) return true;
+  return SHELL_URLS.has(url.origin + url.pathname);
+}
+
+function isDataRequest(url) {
+  return DATA_PATHS.some(re => re.test(url.pathname));
+}
+
+async function shellResponse(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  // index.html?flags=v2, ?api=mock osv. er samme fil
+  const cached = await cache.match(request, { ignoreSearch: request.mode === "navigate" });
+
+  const update = fetch(request)
+    .then((res) => {
+      if (res.ok) cache.put(request, res.clone());
+      return res;
+    })
+    .catch(() => null);
+
+  if (cached) return cached;
+  return (await update) || Response.error();
+}
+
+async function dataResponse(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const headers = new Headers(res.headers);
+      headers.set("X-Volley-Cached-At", String(Date.now()));
+      const body = await res.clone().blob();
+      await cache.put(request, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+    }
+    return res;
+  } catch (e) {
+    const cached = await cache.match(request);
+    if (!cached) throw e;
+
+    const headers = new Headers(cached.headers);
+    headers.set("X-Volley-Stale", "1");
+    return new Response(await cached.blob(), { status: cached.status, statusText: cached.statusText, headers });
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (isDataRequest(url)) {
+    event.respondWith(dataResponse(request));
+  } else if (isShellRequest(url)) {
+    event.respondWith(shellResponse(request));
+  }
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true })
+      .then(clients => (clients.length ? clients[0].focus() : self.clients.openWindow(self.registration.scope)))
+  );
+});
@@ -0,0 +1,173 @@
+/* ===========================
+   Felles polling på tvers av faner
+   ===========================
+   Faner på samme origin velger én leder (Web Locks: låsen slippes
+   automatisk når lederfanen lukkes, og neste fane i køen tar over).
+   Bare lederen poller API-et; resultatene sendes normalisert til de
+   andre fanene over BroadcastChannel.
+
+   Meldinger på kanalen:
+   - { type: "data", topic, data }   lederen publiserer
+   - { type: "want", topic }         følger ber om siste verdi (ved oppstart)
+   - { type: "demand", tab, keys }   hva fanen trenger nå (synlig visning,
+                                     "live-urgent" osv.), så lederen ikke
+                                     sakker ned fordi dens egen fane er skjult
+   - { type: "bye", tab }            fanen lukkes
+
+   Uten BroadcastChannel eller Web Locks er hver fane sin egen leder
+   (som før).
+
+   Overlay-faner (?overlay=) er ikke med: overlay.js poller selv og
+   publiserer ingenting, så en overlay-fane som vant låsen ville latt
+   vanlige faner stå som følgere uten data.
+*/
+
+const TAB_SYNC_CHANNEL = "volley-sync";
+const TAB_LEADER_LOCK = "volley-tab-leader";
+const TAB_DEMAND_HEARTBEAT_MS = 20000;
+const TAB_DEMAND_TTL_MS = 60000;
+
+const TAB_SYNC_ENABLED = !document.body.classList.contains("overlayMode");
+
+const TAB_ID = Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+const tabChannel = (typeof BroadcastChannel === "function") ? new BroadcastChannel(TAB_SYNC_CHANNEL) : null;
+
+let tabLeader = null; // null = ikke avgjort ennå
+const tabLeaderListeners = new Set();
+const tabDataListeners = new Map(); // topic -> Set<fn>
+const tabDataCache = new Map();     // topic -> siste publiserte verdi (leder)
+const tabDemandFlags = new Set();
+const peerDemand = new Map();       // tab -> { keys: Set, ts }
+
+function isTabLeader() {
+  return tabLeader;
+}
+
+function setTabLeader(on) {
+  if (tabLeader === on) return;
+  tabLeader = on;
+  tabLeaderListeners.forEach(fn => fn(on));
+}
+
+function subscribeTabLeader(fn) {
+  tabLeaderListeners.add(fn);
+  return () => tabLeaderListeners.delete(fn);
+}
+
+function electTabLeader() {
+  const locks = typeof navigator !== "undefined" ? navigator.locks : null;
+  if (!tabChannel || !locks || typeof locks.request !== "function") {
+    setTabLeader(true);
+    return;
+  }
+
+  const holdForever = () => {
+    setTabLeader(true);
+    return new Promise(() => {});
+  };
+
+  locks.request(TAB_LEADER_LOCK, { ifAvailable: true }, (lock) => {
+    if (lock) return holdForever();
+    setTabLeader(false);
+    // Stiller oss i kø; blir kalt når lederfanen lukkes
+    locks.request(TAB_LEADER_LOCK, holdForever);
+    return undefined;
+  }).catch((e) => {
+    console.warn("Ledervalg feilet, poller selv:", e);
+    setTabLeader(true);
+  });
+}
+
+/* Lederen publiserer data; følgerne får dem via subscribeTabData. */
+function publishTabData(topic, data) {
+  if (!tabChannel || tabLeader !== true) return;
+  tabDataCache.set(topic, data);
+  try {
+    tabChannel.postMessage({ type: "data", topic, data });
+  } catch (e) {
+    console.warn("Kunne ikke dele " + topic + " med andre faner:", e);
+  }
+}
+
+function subscribeTabData(topic, fn) {
+  if (!tabDataListeners.has(topic)) tabDataListeners.set(topic, new Set());
+  tabDataListeners.get(topic).add(fn);
+  if (tabChannel) tabChannel.postMessage({ type: "want", topic });
+  return () => tabDataListeners.get(topic).delete(fn);
+}
+
+/* ---- Behov ("demand") ---- */
+
+function localDemandKeys() {
+  const keys = [...tabDemandFlags];
+  if (document.visibilityState !== "hidden") {
+    document.querySelectorAll(".view.active").forEach(el => keys.push(el.id.replace(/-root$/, "")));
+  }
+  return keys;
+}
+
+function sendTabDemand() {
+  if (!tabChannel) return;
+  tabChannel.postMessage({ type: "demand", tab: TAB_ID, keys: localDemandKeys() });
+}
+
+/* Ekstra behov for denne fanen, f.eks. "live-urgent" ved settball i fokus. */
+function setTabDemand(key, on) {
+  const had = tabDemandFlags.has(key);
+  if (on) tabDemandFlags.add(key);
+  else tabDemandFlags.delete(key);
+  if (had !== !!on) sendTabDemand();
+}
+
+/* Trenger en annen fane key ("live", "hub", "live-urgent")? */
+function hasPeerDemand(key) {
+  const now = Date.now();
+  for (const [tab, d] of peerDemand.entries()) {
+    if (now - d.ts > TAB_DEMAND_TTL_MS) {
+      peerDemand.delete(tab);
+      continue;
+    }
+    if (d.keys.has(key)) return true;
+  }
+  return false;
+}
+
+if (tabChannel) {
+  tabChannel.onmessage = (e) => {
+    const msg = e.data || {};
+
+    if (msg.type === "data") {
+      const fns = tabDataListeners.get(msg.topic);
+      if (fns) fns.forEach(fn => fn(msg.data));
+    } else if (msg.type === "want") {
+      if (tabLeader === true && tabDataCache.has(msg.topic)) {
+        tabChannel.postMessage({ type: "data", topic: msg.topic, data: tabDataCache.get(msg.topic) });
+      }
+    } else if (msg.type === "demand") {
+      peerDemand.set(msg.tab, { keys: new Set(msg.keys || []), ts: Date.now() });
+      window.dispatchEvent(new Event(POLL_WAKE_EVENT));
+    } else if (msg.type === "bye") {
+      peerDemand.delete(msg.tab);
+    }
+  };
+
+  if (TAB_SYNC_ENABLED) {
+    document.addEventListener("visibilitychange", sendTabDemand);
+    window.addEventListener(VIEW_CHANGE_EVENT, sendTabDemand);
+    window.addEventListener("pagehide", () => tabChannel.postMessage({ type: "bye", tab: TAB_ID }));
+    setInterval(sendTabDemand, TAB_DEMAND_HEARTBEAT_MS);
+    sendTabDemand();
+  }
+}
+
+if (TAB_SYNC_ENABLED) electTabLeader();
+
+function useTabLeader() {
+  const [leader, setLeader] = React.useState(isTabLeader);
+  React.useEffect(() => {
+    setLeader(isTabLeader());
+    return subscribeTabLeader(setLeader);
+  }, []);
+  return leader;
+}
@@ -0,0 +1,257 @@
+/* ===========================
+   Form og sesongstatistikk (Hub, lagsiden)
+   ===========================
+   Regnet ut fra ferdigspilte kamper for laget: formstripe (siste 5/10),
+   rekker, hjemme/borte, avgjørende sett, snitt poeng per sett og
+   poeng per settnummer.
+
+   Hub har bare siste LOOKBACK-dager (prevTeam); hele sesongen hentes
+   fra /events og deles mellom lagene til den er FORM_CACHE_MS gammel.
+*/
+
+const FORM_CACHE_MS = 10 * 60 * 1000;
+const FORM_STRIP_CHOICES = [5, 10];
+
+let formCache = null; // { key, at, promise }
+
+function loadSeasonEvents(seasonName) {
+  const key = apiBase() + "|" + asStr(seasonName);
+  if (formCache && formCache.key === key && Date.now() - formCache.at < FORM_CACHE_MS) {
+    return formCache.promise;
+  }
+
+  const { fromTs, toTs } = seasonRange(seasonName);
+  // -> { events, truncated }
+  const promise = fetchEventsRange(fromTs, toTs)
+    .then(({ rows, truncated }) => ({ events: rows.map(r => normalizeEvent(r)), truncated }));
+  formCache = { key, at: Date.now(), promise };
+  promise.catch(() => { if (formCache && formCache.promise === promise) formCache = null; });
+  return promise;
+}
+
+/* Lagets ferdige kamper (eventForTeam), nyeste først, hver kamp én gang. */
+function teamFinishedMatches(events, sofaId) {
+  const byId = new Map();
+  for (const e of events) {
+    if (!isFinished(e.raw)) continue;
+    const m = eventForTeam(e, sofaId);
+    if (!m || m.setsFor === m.setsAgainst) continue;
+    byId.set(e.eventId ?? `${e.homeId}|${e.awayId}|${e.startTs}`, m);
+  }
+  return [...byId.values()].sort((x, y) => (y.e.startTs ?? 0) - (x.e.startTs ?? 0));
+}
+
+function winLoss(matches) {
+  const won = matches.filter(m => m.won).length;
+  return { won, lost: matches.length - won };
+}
+
+/* matches: nyeste først. */
+function teamStreaks(matches) {
+  let current = null;
+  for (const m of matches) {
+    if (!current) current = { won: m.won, count: 1 };
+    else if (m.won === current.won) current.count++;
+    else break;
+  }
+
+  let bestWin = 0;
+  let bestLoss = 0;
+  let run = 0;
+  let runWon = null;
+  for (const m of matches) {
+    run = (m.won === runWon) ? run + 1 : 1;
+    runWon = m.won;
+    if (m.won) bestWin = Math.max(bestWin, run);
+    else bestLoss = Math.max(bestLoss, run);
+  }
+
+  return { current, bestWin, bestLoss };
+}
+
+function teamSeasonStats(matches) {
+  const sets = matches.flatMap(m => m.sets);
+
+  // Snitt poeng for/mot per format og settnummer; tie-breaken telles for seg (rules.js)
+  const bySetNo = new Map();
+  for (const m of matches) {
+    const fmt = m.e.format || DEFAULT_SCORING_FORMAT;
+    for (const s of m.sets) {
+      const key = fmt.key + "|" + s.no;
+      if (!bySetNo.has(key)) bySetNo.set(key, { no: s.no, fmt, n: 0, won: 0, pf: 0, pa: 0 });
+      const row = bySetNo.get(key);
+      row.n++;
+      row.pf += s.for;
+      row.pa += s.against;
+      if (s.for > s.against) row.won++;
+    }
+  }
+
+  return {
+    total: winLoss(matches),
+    home: winLoss(matches.filter(m => m.isHome)),
+    away: winLoss(matches.filter(m => !m.isHome)),
+    deciding: winLoss(matches.filter(m => m.deciding)),
+    setsFor: matches.reduce((sum, m) => sum + m.setsFor, 0),
+    setsAgainst: matches.reduce((sum, m) => sum + m.setsAgainst, 0),
+    avgFor: sets.length ? sets.reduce((sum, s) => sum + s.for, 0) / sets.length : null,
+    avgAgainst: sets.length ? sets.reduce((sum, s) => sum + s.against, 0) / sets.length : null,
+    perSet: [...bySetNo.values()]
+      .sort((a, b) => (a.no - b.no) || a.fmt.key.localeCompare(b.fmt.key))
+      .map(r => ({
+        no: r.no,
+        fmt: r.fmt,
+        target: setTargetPoints(r.no, r.fmt),
+        played: r.n,
+        won: r.won,
+        avgFor: r.pf / r.n,
+        avgAgainst: r.pa / r.n,
+      })),
+    streaks: teamStreaks(matches),
+  };
+}
+
+function formatAvg(n) {
+  return n == null ? "—" : (Math.round(n * 10) / 10).toLocaleString("nb-NO");
+}
+
+function formatStreak(s) {
+  if (!s) return "—";
+  return `${s.count} ${s.won ? (s.count === 1 ? "seier" : "seire") : "tap"} på rad`;
+}
+
+/* ===========================
+   Visning
+   =========================== */
+function FormStrip({ matches }) {
+  return (
+    <div className="formStrip">
+      {matches.map(m => (
+        <span
+          key={m.e.eventId ?? m.e.startTs}
+          className={"formChip " + (m.won ? "won" : "lost")}
+          title={`${formatTs(m.e.startTs)} · ${m.isHome ? "Hjemme" : "Borte"} mot ${m.opponentName} · ${compHeaderText(m.e)}`}
+        >
+          <span className="formLetter">{m.won ? "S" : "T"}</span>
+          <span className="formScore">{m.setsFor}-{m.setsAgainst}</span>
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/* Hver rad skaleres mot settets mållengde (25/21, tie-break 15). */
+function SetPointsChart({ perSet }) {
+  const mixed = new Set(perSet.map(r => r.fmt.key)).size > 1;
+  return (
+    <div className="setChart">
+      {perSet.map(r => {
+        const label = (mixed ? r.fmt.label + " · " : "") + setLabel(r.no, r.fmt);
+        const max = Math.max(r.target, r.avgFor, r.avgAgainst);
+        return (
+          <div
+            key={r.fmt.key + "|" + r.no}
+            className="setChartRow"
+            title={`${label} (til ${r.target}): vunnet ${r.won} av ${r.played}`}
+          >
+            <span className="setChartLabel">{label}</span>
+            <div className="setChartBars">
+              <div className="setChartBar for" style={{ width: `${(r.avgFor / max) * 100}%` }}>{formatAvg(r.avgFor)}</div>
+              <div className="setChartBar against" style={{ width: `${(r.avgAgainst / max) * 100}%` }}>{formatAvg(r.avgAgainst)}</div>
+            </div>
+            <span className="setChartWon">{r.won}/{r.played}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function TeamFormPanel({ teamSofaId, seasonName, events }) {
+  const settings = useSettings();
+  const [seasonEvents, setSeasonEvents] = React.useState(null);
+  const [truncated, setTruncated] = React.useState(false);
+  const [error, setError] = React.useState("");
+  const [stripSize, setStripSize] = React.useState(FORM_STRIP_CHOICES[0]);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    setSeasonEvents(null);
+    setTruncated(false);
+    setError("");
+    loadSeasonEvents(seasonName)
+      .then(res => {
+        if (cancelled) return;
+        setSeasonEvents(res.events);
+        setTruncated(res.truncated);
+      })
+      .catch((e) => {
+        if (cancelled) return;
+        console.warn("Sesongkamper feilet:", e);
+        setError(String(e?.message ?? e));
+      });
+    return () => { cancelled = true; };
+  }, [seasonName, settings.apiBase]);
+
+  const matches = React.useMemo(() => {
+    const id = asNum(teamSofaId);
+    if (id == null) return [];
+    return teamFinishedMatches([...(seasonEvents || []), ...safeArray(events)], id);
+  }, [teamSofaId, seasonEvents, events]);
+
+  const stats = React.useMemo(() => teamSeasonStats(matches), [matches]);
+
+  if (!matches.length) {
+    return (
+      <div className="card formCard">
+        <div className="name">📈 Form</div>
+        <div className="sub">
+          {seasonEvents || error ? "Ingen ferdigspilte kamper ennå." : "Henter sesongen…"}
+        </div>
+        <TruncatedMarker truncated={truncated} />
+      </div>
+    );
+  }
+
+  const { total, home, away, deciding, streaks } = stats;
+
+  return (
+    <div className="card formCard">
+      <div className="standingsHead">
+        <div>
+          <div className="name">📈 Form og sesong</div>
+          <div className="sub">
+            {seasonEvents ? (asStr(seasonName) || "Siste 365 dager") : `Siste ${settings.lookbackDays} dager (henter sesongen…)`}
+            {" · "}{matches.length} {matches.length === 1 ? "kamp" : "kamper"}
+          </div>
+          <TruncatedMarker truncated={truncated} />
+        </div>
+        <select value={stripSize} onChange={(e) => setStripSize(Number(e.target.value))} aria-label="Antall kamper i formstripen">
+          {FORM_STRIP_CHOICES.map(n => <option key={n} value={n}>Siste {n}</option>)}
+        </select>
+      </div>
+
+      {error && <div className="alert">Kunne ikke hente hele sesongen: {error}</div>}
+
+      <FormStrip matches={matches.slice(0, stripSize)} />
+
+      <div className="formStats">
+        <div><span className="h2hBig">{total.won}–{total.lost}</span><span className="sub">Seire–tap</span></div>
+        <div><span className="h2hBig">{stats.setsFor}–{stats.setsAgainst}</span><span className="sub">Sett</span></div>
+        <div><span className="h2hBig">{home.won}–{home.lost}</span><span className="sub">Hjemme</span></div>
+        <div><span className="h2hBig">{away.won}–{away.lost}</span><span className="sub">Borte</span></div>
+        <div><span className="h2hBig">{deciding.won}–{deciding.lost}</span><span className="sub">Avgjørende sett</span></div>
+        <div>
+          <span className="h2hBig">{formatAvg(stats.avgFor)}–{formatAvg(stats.avgAgainst)}</span>
+          <span className="sub">Poeng per sett</span>
+        </div>
+      </div>
+
+      <div className="sub">
+        Nå: {formatStreak(streaks.current)} · Lengste: {streaks.bestWin} {streaks.bestWin === 1 ? "seier" : "seire"}, {streaks.bestLoss} tap
+      </div>
+
+      {stats.perSet.length > 0 && <SetPointsChart perSet={stats.perSet} />}
+    </div>
+  );
+}